@@ -0,0 +1,147 @@
+// ─── DÉTECTION DES ANTI-BOTS ──────────────────────────────────────────────────
+// Reconnaît DataDome, Akamai Bot Manager, Cloudflare, PerimeterX/HUMAN, Imperva
+// (Incapsula) et Kasada à partir du statut HTTP, des en-têtes, des cookies et du
+// HTML. Deux niveaux : le fournisseur est présent (cookies, en-têtes, tag JS sur
+// une page normale) ou il bloque (challenge, captcha, 403/429 signé). Seul le
+// second fait échouer un stage et passer au suivant.
+
+export const ANTI_BOT_VENDORS = ["datadome", "akamai", "cloudflare", "perimeterx", "imperva", "kasada"];
+
+// Statuts de blocage : signés par un fournisseur ou non ("http-403")
+const BLOCKING_STATUSES = new Set([403, 405, 429, 503]);
+
+// Au-delà, une page est trop riche pour être un écran de challenge
+const CHALLENGE_PAGE_MAX_LENGTH = 60000;
+const MARKUP_SCAN_LENGTH = 30000;
+
+// header : [nom, motif de valeur facultatif] ; cookies : motifs de nom
+const VENDOR_SIGNATURES = {
+  datadome: {
+    headers: [["x-datadome"], ["x-dd-b"], ["server", /datadome/i]],
+    cookies: [/^datadome$/i],
+    presence: [/js\.datadome\.co|datadome\.co\/tags\.js/i],
+    challenge: [/(?:geo|ct|interstitial)\.captcha-delivery\.com/i, /var dd=\{['"]?rt['"]?:/i],
+  },
+  akamai: {
+    headers: [["server", /akamaighost/i], ["x-akamai-transformed"], ["akamai-grn"]],
+    cookies: [/^_abck$/, /^bm_sz$/, /^ak_bmsc$/, /^bm_sv$/, /^bm_mi$/],
+    presence: [/\/akam\/\d+\//i],
+    challenge: [/\/_sec\/cp_challenge\//i, /sec-if-cpt-container/i, /errors\.edgesuite\.net/i, /<title>\s*access denied\s*<\/title>[\s\S]{0,2000}reference\s*#/i],
+  },
+  cloudflare: {
+    headers: [["cf-ray"], ["server", /cloudflare/i], ["cf-mitigated", /challenge/i, true]],
+    cookies: [/^__cf_bm$/, /^cf_clearance$/, /^__cflb$/],
+    presence: [/cdn-cgi\/challenge-platform\/scripts\/jsd/i],
+    challenge: [/<title>\s*just a moment\.\.\.\s*<\/title>/i, /cf-browser-verification|cf_chl_opt|cf-chl-widget/i, /attention required!\s*\|\s*cloudflare/i, /challenges\.cloudflare\.com\/turnstile/i],
+  },
+  perimeterx: {
+    headers: [["x-px-block-reason", null, true], ["x-px-authorization"]],
+    cookies: [/^_px[23]?$/, /^_pxhd$/, /^_pxvid$/, /^_pxff_/],
+    presence: [/client\.px-cloud\.net|\/px\/client\/main\.min\.js|window\._pxAppId/i],
+    challenge: [/id=["']px-captcha["']|captcha\.px-cdn\.net|px-captcha-error/i, /press\s*(?:&amp;|&)\s*hold/i],
+  },
+  imperva: {
+    headers: [["x-iinfo"], ["x-cdn", /incapsula|imperva/i]],
+    cookies: [/^incap_ses_/, /^visid_incap_/, /^nlbi_/, /^reese84$/],
+    presence: [/\/_Incapsula_Resource\?SWJIYLWA=/i],
+    challenge: [/incapsula incident id|_Incapsula_Resource\?(?!SWJIYLWA)/i, /request unsuccessful\. incapsula/i],
+  },
+  kasada: {
+    headers: [["x-kpsdk-ct"], ["x-kpsdk-c"], ["x-kpsdk-r", null, true]],
+    cookies: [/^KP_UIDz/, /^x-kpsdk-/i],
+    presence: [/\/ips\.js\?|KPSDK\./],
+    challenge: [/KPSDK\.configure|window\.KPSDK\s*=/],
+  },
+};
+
+// Anciennes heuristiques de stage0 : pages de blocage sans fournisseur identifié
+const GENERIC_BLOCK_PATTERNS = [/<title>[^<]*access denied[^<]*<\/title>/i, /<title>[^<]*(?:captcha|are you a (?:human|robot)|robot check)[^<]*<\/title>/i];
+
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  const value = typeof headers.get === "function" ? headers.get(name) : headers[name] ?? headers[name.toLowerCase()];
+  return Array.isArray(value) ? value.join("; ") : value;
+}
+
+// Noms de cookies : objets Puppeteer ({ name }), lignes Set-Cookie ou noms bruts
+function toCookieNames(cookies, headers) {
+  const setCookie = headers ? headers["set-cookie"] ?? (typeof headers.get === "function" ? headers.get("set-cookie") : null) : null;
+  const lines = [...(Array.isArray(setCookie) ? setCookie : setCookie ? [setCookie] : []), ...(cookies || [])];
+  return lines
+    .map((cookie) => (typeof cookie === "string" ? cookie.split(";")[0].split("=")[0] : cookie?.name))
+    .map((name) => `${name || ""}`.trim())
+    .filter(Boolean);
+}
+
+/**
+ * { status, headers, cookies, html } → { blocked, vendors, blockingVendors, reasons }.
+ * headers : objet (axios, Puppeteer) ou Headers ; cookies : voir toCookieNames.
+ */
+export function detectAntiBot({ status = null, headers = null, cookies = null, html = "" } = {}) {
+  const markup = typeof html === "string" ? html.slice(0, MARKUP_SCAN_LENGTH) : "";
+  const smallPage = typeof html === "string" && html.length < CHALLENGE_PAGE_MAX_LENGTH;
+  const cookieNames = toCookieNames(cookies, headers);
+  const blockingStatus = BLOCKING_STATUSES.has(status);
+  const vendors = new Set();
+  const blockingVendors = new Set();
+  const reasons = [];
+
+  for (const [vendor, signature] of Object.entries(VENDOR_SIGNATURES)) {
+    let present = false;
+    let blocking = false;
+    for (const [name, pattern, blocks] of signature.headers) {
+      const value = readHeader(headers, name);
+      if (value === undefined || value === null || (pattern && !pattern.test(`${value}`))) continue;
+      present = true;
+      reasons.push(`${vendor}:header:${name}`);
+      if (blocks) blocking = true;
+    }
+    const cookie = cookieNames.find((name) => signature.cookies.some((pattern) => pattern.test(name)));
+    if (cookie) {
+      present = true;
+      reasons.push(`${vendor}:cookie:${cookie}`);
+    }
+    if (signature.presence.some((pattern) => pattern.test(markup))) {
+      present = true;
+      reasons.push(`${vendor}:script`);
+    }
+    if (smallPage && signature.challenge.some((pattern) => pattern.test(markup))) {
+      present = true;
+      blocking = true;
+      reasons.push(`${vendor}:challenge`);
+    }
+    // Un 403/429 servi par le fournisseur est un blocage, même sans page de challenge
+    if (present && blockingStatus) blocking = true;
+    if (present) vendors.add(vendor);
+    if (blocking) blockingVendors.add(vendor);
+  }
+
+  let blocked = blockingVendors.size > 0;
+  if (blockingStatus && (status === 403 || status === 429)) {
+    reasons.push(`http-${status}`);
+    blocked = true;
+  }
+  if (!blocked && smallPage && GENERIC_BLOCK_PATTERNS.some((pattern) => pattern.test(markup))) {
+    reasons.push("generic-block-page");
+    blocked = true;
+  }
+
+  return { blocked, vendors: [...vendors], blockingVendors: [...blockingVendors], reasons, status };
+}
+
+// Version compacte pour meta (null si rien n'a été vu)
+export function summarizeAntiBot(detection) {
+  if (!detection || (!detection.blocked && !detection.vendors.length)) return null;
+  return {
+    blocked: detection.blocked,
+    vendors: detection.vendors,
+    blockingVendors: detection.blockingVendors,
+    reasons: detection.reasons,
+    status: detection.status ?? null,
+  };
+}
+
+export function describeAntiBotBlock(stageLabel, detection) {
+  const who = detection.blockingVendors.length ? detection.blockingVendors.join(", ") : detection.status ? `HTTP ${detection.status}` : "a challenge page";
+  return `${stageLabel} blocked by ${who}`;
+}
@@ -0,0 +1,261 @@
+import { performance } from "node:perf_hooks";
+
+// ─── BANDEAUX DE CONSENTEMENT COOKIES (stages navigateur) ─────────────────────
+// OneTrust, Didomi, Cookiebot, Usercentrics et TrustArc masquent souvent la galerie
+// ou le prix derrière un overlay. Avant page.content(), on cherche le bandeau dans la
+// page, ses shadow roots ouverts et les iframes des CMP, puis on clique sur
+// accepter ou refuser (SCRAPER_CONSENT_ACTION). À défaut de bouton visible, l'API JS
+// du CMP est appelée. Sans aucune trace de CMP dans la page, rien n'est attendu.
+
+export const CONSENT_ACTIONS = ["accept", "reject", "off"];
+
+// containers : présence du bandeau ; scripts : CMP chargé mais bandeau pas encore affiché
+// frames : URL des iframes où le CMP affiche ses boutons
+export const CONSENT_MANAGERS = [
+  {
+    name: "onetrust",
+    containers: ["#onetrust-banner-sdk", "#onetrust-consent-sdk"],
+    scripts: [/cdn\.cookielaw\.org|optanon\.blob\.core\.windows\.net|otSDKStub/i],
+    accept: ["#onetrust-accept-btn-handler", ".onetrust-close-btn-handler"],
+    reject: ["#onetrust-reject-all-handler", ".ot-pc-refuse-all-handler"],
+    frames: [],
+  },
+  {
+    name: "didomi",
+    containers: ["#didomi-host", "#didomi-popup", "#didomi-notice"],
+    scripts: [/sdk\.privacy-center\.org|didomi\.io/i],
+    accept: ["#didomi-notice-agree-button", ".didomi-popup-notice-buttons .didomi-button-highlight"],
+    reject: ["#didomi-notice-disagree-button", ".didomi-continue-without-agreeing"],
+    frames: [],
+  },
+  {
+    name: "cookiebot",
+    containers: ["#CybotCookiebotDialog", "#cookiebanner"],
+    scripts: [/consent\.cookiebot\.(?:com|eu)/i],
+    accept: ["#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll", "#CybotCookiebotDialogBodyButtonAccept"],
+    reject: ["#CybotCookiebotDialogBodyButtonDecline"],
+    frames: [],
+  },
+  {
+    name: "usercentrics",
+    containers: ["#usercentrics-root", "#usercentrics-cmp-ui", "#uc-center-container"],
+    scripts: [/usercentrics\.eu/i],
+    accept: ["[data-testid='uc-accept-all-button']", "#accept", "button.accept"],
+    reject: ["[data-testid='uc-deny-all-button']", "#deny", "button.deny"],
+    frames: [],
+  },
+  {
+    name: "trustarc",
+    containers: ["#truste-consent-track", "#truste-consent-content", ".truste_popframe", "#consent_blackbar"],
+    scripts: [/consent\.trustarc\.com|consent\.truste\.com/i],
+    accept: ["#truste-consent-button", ".acceptAllButtonLower", "a.call"],
+    reject: ["#truste-consent-required", ".rejectAllButtonLower"],
+    frames: [/consent-pref\.trustarc\.com|consent-pref\.truste\.com/i],
+  },
+];
+
+// Intervalle entre deux recherches du bandeau tant que le CMP ne l'a pas affiché
+const POLL_INTERVAL_MS = 250;
+// Profondeur max des shadow roots imbriqués explorés
+const SHADOW_DEPTH = 3;
+
+function readInteger(value, fallback) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Sérialisable : exécuté dans chaque frame par frame.evaluate (pas de closure)
+function scanConsentInFrame(managers, action, shadowDepth, frameScope) {
+  const roots = [document];
+  const collectShadowRoots = (root, depth) => {
+    if (depth > shadowDepth) return;
+    for (const element of root.querySelectorAll("*")) {
+      if (!element.shadowRoot) continue;
+      roots.push(element.shadowRoot);
+      collectShadowRoots(element.shadowRoot, depth + 1);
+    }
+  };
+  collectShadowRoots(document, 1);
+
+  const isVisible = (element) => {
+    const rect = element.getBoundingClientRect();
+    if (!rect.width || !rect.height) return false;
+    const style = window.getComputedStyle(element);
+    return style.visibility !== "hidden" && style.display !== "none" && style.opacity !== "0";
+  };
+  const findElement = (selector, visibleOnly) => {
+    for (const root of roots) {
+      for (const element of root.querySelectorAll(selector)) {
+        if (!visibleOnly || isVisible(element)) return { element, shadow: root !== document };
+      }
+    }
+    return null;
+  };
+  const scriptSources = Array.from(document.scripts, (script) => script.src || "").join(" ");
+
+  // Choix déjà enregistré (cookie de consentement, session partagée) : rien à fermer
+  const alreadyDecided = (name) => {
+    try {
+      if (name === "onetrust") return Boolean(window.OneTrust?.IsAlertBoxClosed?.());
+      if (name === "didomi") return window.Didomi?.shouldConsentBeCollected?.() === false;
+      if (name === "cookiebot") return Boolean(window.Cookiebot?.hasResponse);
+      if (name === "usercentrics") return window.UC_UI?.isConsentRequired?.() === false;
+      if (name === "trustarc") return /(?:^|;\s*)notice_(?:gdpr_)?preferences=/.test(document.cookie);
+    } catch {
+      return false;
+    }
+    return false;
+  };
+
+  // Dernier recours : API JS du CMP (bandeau présent mais bouton introuvable)
+  const callApi = (name) => {
+    const accept = action === "accept";
+    try {
+      if (name === "onetrust" && window.OneTrust) {
+        if (accept) window.OneTrust.AllowAll(); else window.OneTrust.RejectAll();
+        return true;
+      }
+      if (name === "didomi" && window.Didomi) {
+        if (accept) window.Didomi.setUserAgreeToAll(); else window.Didomi.setUserDisagreeToAll();
+        return true;
+      }
+      if (name === "cookiebot" && window.Cookiebot?.submitCustomConsent) {
+        window.Cookiebot.submitCustomConsent(accept, accept, accept);
+        return true;
+      }
+      if (name === "usercentrics" && window.UC_UI) {
+        const done = accept ? window.UC_UI.acceptAllConsents() : window.UC_UI.denyAllConsents();
+        Promise.resolve(done).then(() => window.UC_UI.closeCMP?.()).catch(() => {});
+        return true;
+      }
+      if (name === "trustarc" && window.truste?.eu?.actionmessage) {
+        window.truste.eu.actionmessage({ source: "preference_manager", message: accept ? "submit_preferences" : "remove_iframe", data: accept ? "0,1,2" : "0" });
+        return true;
+      }
+    } catch {
+      return false;
+    }
+    return false;
+  };
+
+  let pending = null;
+  for (const manager of managers) {
+    const inCmpFrame = frameScope === "iframe";
+    const container = inCmpFrame ? { shadow: false } : manager.containers.map((selector) => findElement(selector, false)).find(Boolean);
+    const scriptLoaded = manager.scripts.some((pattern) => new RegExp(pattern.source, pattern.flags).test(scriptSources));
+    if (!container && !scriptLoaded) continue;
+    if (!inCmpFrame && alreadyDecided(manager.name)) return { status: "decided", cmp: manager.name };
+    for (const selector of manager[action]) {
+      const button = findElement(selector, true);
+      if (!button) continue;
+      button.element.click();
+      return { status: "handled", cmp: manager.name, method: "click", selector, shadow: button.shadow };
+    }
+    if (container && !inCmpFrame && findElement(manager.containers.join(","), true) && callApi(manager.name)) {
+      return { status: "handled", cmp: manager.name, method: "api", selector: null, shadow: container.shadow };
+    }
+    // CMP chargé, bandeau pas encore visible : on réessaie au prochain passage
+    pending = pending || manager.name;
+  }
+  return pending ? { status: "pending", cmp: pending } : { status: "absent" };
+}
+
+// RegExp → { source, flags } pour passer les définitions à frame.evaluate
+function serializeManagers(managers) {
+  return managers.map((manager) => ({
+    ...manager,
+    scripts: manager.scripts.map((pattern) => ({ source: pattern.source, flags: pattern.flags })),
+    frames: [],
+  }));
+}
+
+export function createConsentHandler({
+  action = process.env.SCRAPER_CONSENT_ACTION || "accept",
+  timeoutMs = readInteger(process.env.SCRAPER_CONSENT_TIMEOUT_MS, 3000),
+  settleMs = readInteger(process.env.SCRAPER_CONSENT_SETTLE_MS, 1500),
+  managers = CONSENT_MANAGERS,
+} = {}) {
+  if (!CONSENT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown SCRAPER_CONSENT_ACTION "${action}" (${CONSENT_ACTIONS.join(", ")})`);
+  }
+  const enabled = action !== "off";
+  const serialized = serializeManagers(managers);
+  const counters = { handled: 0, alreadyDecided: 0, notFound: 0 };
+  const handledByCmp = Object.fromEntries(managers.map((manager) => [manager.name, 0]));
+
+  // Frames à scanner : les iframes dont l'URL est celle d'un CMP (boutons du bandeau)
+  // puis la page, où l'API JS sert de dernier recours
+  function framesToScan(page) {
+    const mainFrame = page.mainFrame();
+    const cmpFrames = page.frames().filter((frame) => frame !== mainFrame && managers.some((manager) => {
+      return manager.frames.some((pattern) => pattern.test(frame.url()));
+    }));
+    return [
+      ...cmpFrames.map((frame) => ({
+        frame,
+        scope: "iframe",
+        managers: serialized.filter((manager) => managers.find((m) => m.name === manager.name).frames.some((pattern) => pattern.test(frame.url()))),
+      })),
+      { frame: mainFrame, scope: "main", managers: serialized },
+    ];
+  }
+
+  async function scanOnce(page) {
+    let pending = null;
+    for (const { frame, scope, managers: frameManagers } of framesToScan(page)) {
+      const outcome = await frame
+        .evaluate(scanConsentInFrame, frameManagers, action, SHADOW_DEPTH, scope)
+        .catch(() => ({ status: "absent" }));
+      if (outcome.status === "handled" || outcome.status === "decided") return { ...outcome, frame: scope };
+      if (outcome.status === "pending") pending = pending || outcome.cmp;
+    }
+    return pending ? { status: "pending", cmp: pending } : { status: "absent" };
+  }
+
+  return {
+    enabled,
+    action,
+
+    /**
+     * Ferme le bandeau de consentement de page ; à appeler avant page.content().
+     * Renvoie null si aucun CMP n'a été vu, sinon (pour meta.consent)
+     * { cmp, action, handled, method, selector, frame, shadow, reason, durationMs }
+     * avec reason : null, "already_decided" ou "banner_not_found".
+     */
+    async dismiss(page, { signal = null } = {}) {
+      if (!enabled || !page) return null;
+      const start = performance.now();
+      const deadline = start + timeoutMs;
+      let outcome = await scanOnce(page);
+      // Script du CMP présent : le bandeau s'affiche en général dans la seconde
+      while (outcome.status === "pending" && performance.now() < deadline && !signal?.aborted) {
+        await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL_MS));
+        outcome = await scanOnce(page);
+      }
+      if (outcome.status === "absent") return null;
+      const durationMs = Math.round(performance.now() - start);
+      if (outcome.status !== "handled") {
+        const decided = outcome.status === "decided";
+        counters[decided ? "alreadyDecided" : "notFound"]++;
+        return {
+          cmp: outcome.cmp, action, handled: false, method: null, selector: null, frame: null, shadow: false,
+          reason: decided ? "already_decided" : "banner_not_found", durationMs,
+        };
+      }
+      counters.handled++;
+      handledByCmp[outcome.cmp] = (handledByCmp[outcome.cmp] || 0) + 1;
+      // Laisser l'overlay se fermer et le contenu masqué se charger
+      if (settleMs > 0 && typeof page.waitForNetworkIdle === "function") {
+        await page.waitForNetworkIdle({ idleTime: 300, timeout: settleMs }).catch(() => {});
+      }
+      return {
+        cmp: outcome.cmp, action, handled: true, method: outcome.method, selector: outcome.selector,
+        frame: outcome.frame, shadow: Boolean(outcome.shadow), reason: null, durationMs,
+      };
+    },
+
+    stats() {
+      return { enabled, action, timeoutMs, ...counters, byCmp: handledByCmp };
+    },
+  };
+}
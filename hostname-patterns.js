@@ -0,0 +1,24 @@
+// ─── MOTIFS DE HOSTNAME ───────────────────────────────────────────────────────
+// "sephora.*" ou "chanel.com" : "*" est un joker, et un motif couvre aussi les
+// sous-domaines (www.chanel.com → chanel.com). Partagé par profils et routage.
+
+export function compileHostnamePattern(pattern) {
+  const escaped = `${pattern}`.trim().toLowerCase().replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`);
+}
+
+export function hostnameMatches(hostname, pattern) {
+  const labels = `${hostname || ""}`.toLowerCase().split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (pattern.test(labels.slice(i).join("."))) return true;
+  }
+  return false;
+}
+
+export function hostnameOf(pageUrl) {
+  try {
+    return new URL(pageUrl).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
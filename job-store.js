@@ -0,0 +1,350 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+
+// ─── STOCKAGE DES JOBS (/scrape-async, /status) ──────────────────────────────
+// memory : Map locale (perdue au redémarrage).
+// file   : journal append-only JSONL sur un volume persistant (SCRAPER_JOB_STORE_FILE,
+//          obligatoire), partageable entre instances. Chaque écriture se fait sous
+//          <journal>.lock ; chaque lecture rattrape d'abord les lignes ajoutées par
+//          les autres instances (et relit tout après une compaction).
+// Bail : un job en cours appartient à l'instance qui l'a créé ou repris, tant que
+// son bail (lease.until, renouvelé par renewLeases) n'a pas expiré. claim() ne
+// donne un job qu'à une seule instance ; un job d'une instance tuée est repris
+// par une autre à l'expiration du bail (SCRAPER_JOB_LEASE_MS).
+// Un job : { id, status, url, options, callbackUrl, delivery, attempts, lease, createdAt, startedAt, finishedAt, result }
+
+const DEFAULT_LEASE_MS = 60 * 1000;
+// Verrou d'écriture plus vieux que ça : écrivain tué en plein milieu, le verrou est repris
+const WRITE_LOCK_STALE_MS = 10 * 1000;
+const WRITE_LOCK_RETRY_MS = 15;
+const WRITE_LOCK_TIMEOUT_MS = 15 * 1000;
+
+function readInteger(value, fallback, min = 0) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+export class MemoryJobStore {
+  constructor({ leaseMs = readInteger(process.env.SCRAPER_JOB_LEASE_MS, DEFAULT_LEASE_MS, 1000) } = {}) {
+    this.name = "memory";
+    this.jobs = new Map();
+    this.instance = randomUUID();
+    this.leaseMs = leaseMs;
+    // Jobs dont cette instance tient le bail
+    this.held = new Set();
+  }
+
+  async init() {
+    return this;
+  }
+
+  newLease(now = Date.now()) {
+    return { instance: this.instance, host: os.hostname(), pid: process.pid, until: now + this.leaseMs };
+  }
+
+  isLeasedElsewhere(job, now = Date.now()) {
+    return Boolean(job?.lease && job.lease.instance !== this.instance && job.lease.until > now);
+  }
+
+  // Un job "pending" est créé avec un bail de cette instance, qui le lance aussitôt
+  prepareJob(job) {
+    if (job.status !== "pending" || job.type === "batch") return { ...job };
+    this.held.add(job.id);
+    return { ...job, lease: this.newLease() };
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, this.prepareJob(job));
+    return this.jobs.get(job.id);
+  }
+
+  async update(jobId, patch) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    Object.assign(job, patch);
+    return job;
+  }
+
+  async get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  async list(filter = () => true) {
+    return Array.from(this.jobs.values()).filter(filter);
+  }
+
+  async listPending() {
+    return this.list((job) => job.status === "pending");
+  }
+
+  // Prend le bail d'un job (reprise) ; null s'il est déjà tenu, ici ou par une autre instance
+  async claim(jobId, now = Date.now()) {
+    const job = this.jobs.get(jobId);
+    if (!job || this.held.has(jobId) || this.isLeasedElsewhere(job, now)) return null;
+    this.held.add(jobId);
+    return this.update(jobId, { lease: this.newLease(now) });
+  }
+
+  // Fin du travail sur le job (scrape et webhook terminés)
+  async release(jobId) {
+    if (!this.held.delete(jobId)) return;
+    const job = this.jobs.get(jobId);
+    if (job?.lease?.instance === this.instance) await this.update(jobId, { lease: null });
+  }
+
+  // Prolonge les baux tenus ; à appeler bien avant leaseMs
+  async renewLeases(now = Date.now()) {
+    for (const jobId of this.held) {
+      const job = this.jobs.get(jobId);
+      if (!job) this.held.delete(jobId);
+      else await this.update(jobId, { lease: this.newLease(now) });
+    }
+  }
+
+  // Supprime les jobs terminés depuis plus de retentionMs ; renvoie le nombre supprimé.
+  // Un job dont le webhook est encore en cours de livraison est gardé.
+  async purge(retentionMs, now = Date.now()) {
+    let removed = 0;
+    for (const [jobId, job] of this.jobs.entries()) {
+      if (job.status === "pending" || job.delivery?.status === "pending") continue;
+      if (now - (job.finishedAt ?? job.createdAt) > retentionMs) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Arrêt propre : rend les baux pour qu'une autre instance reprenne les jobs tout de suite
+  async close() {
+    for (const jobId of [...this.held]) await this.release(jobId);
+  }
+
+  stats() {
+    const counts = { pending: 0, done: 0, failed: 0 };
+    for (const job of this.jobs.values()) counts[job.status] = (counts[job.status] || 0) + 1;
+    return { store: this.name, total: this.jobs.size, held: this.held.size, leaseMs: this.leaseMs, ...counts };
+  }
+}
+
+export class FileJobStore extends MemoryJobStore {
+  constructor(filePath, options = {}) {
+    super(options);
+    this.name = "file";
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    // Position lue dans le journal et identité du fichier (changée par une compaction)
+    this.offset = 0;
+    this.fileId = null;
+    // Opérations de cette instance sérialisées (le verrou fichier sert entre instances)
+    this.chain = Promise.resolve();
+  }
+
+  applyRecord(record) {
+    if (record.op === "put") this.jobs.set(record.job.id, record.job);
+    else if (record.op === "patch" && this.jobs.has(record.id)) Object.assign(this.jobs.get(record.id), record.patch);
+    else if (record.op === "delete") this.jobs.delete(record.id);
+  }
+
+  // Rattrape les lignes écrites depuis la dernière lecture (par n'importe quelle instance)
+  async refresh() {
+    let handle;
+    try {
+      handle = await fs.open(this.filePath, "r");
+    } catch (err) {
+      if (err?.code !== "ENOENT") throw err;
+      this.jobs.clear();
+      this.offset = 0;
+      this.fileId = null;
+      return;
+    }
+    try {
+      const stat = await handle.stat();
+      const fileId = `${stat.dev}:${stat.ino}`;
+      if (fileId !== this.fileId || stat.size < this.offset) {
+        // Fichier compacté (ou remplacé) : relecture complète
+        this.jobs.clear();
+        this.offset = 0;
+        this.fileId = fileId;
+      }
+      if (stat.size === this.offset) return;
+      const buffer = Buffer.alloc(stat.size - this.offset);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, this.offset);
+      const text = buffer.subarray(0, bytesRead).toString("utf8");
+      // Dernière ligne incomplète (écriture en cours ou arrêt brutal) : relue plus tard
+      const end = text.lastIndexOf("\n") + 1;
+      for (const line of text.slice(0, end).split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          this.applyRecord(JSON.parse(line));
+        } catch {
+          // ligne corrompue : ignorée
+        }
+      }
+      this.offset += Buffer.byteLength(text.slice(0, end));
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async acquireWriteLock() {
+    const start = Date.now();
+    for (;;) {
+      try {
+        const handle = await fs.open(this.lockPath, "wx");
+        await handle.writeFile(JSON.stringify({ instance: this.instance, pid: process.pid, host: os.hostname(), at: Date.now() }));
+        await handle.close();
+        return;
+      } catch (err) {
+        if (err?.code !== "EEXIST") throw err;
+      }
+      const stat = await fs.stat(this.lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > WRITE_LOCK_STALE_MS) {
+        console.log(JSON.stringify({ event: "JOB_STORE_LOCK_BROKEN", file: this.filePath, ageMs: Math.round(Date.now() - stat.mtimeMs) }));
+        await fs.rm(this.lockPath, { force: true });
+        continue;
+      }
+      if (Date.now() - start > WRITE_LOCK_TIMEOUT_MS) throw new Error(`Job store ${this.filePath} is locked`);
+      await new Promise((resolve) => setTimeout(resolve, WRITE_LOCK_RETRY_MS));
+    }
+  }
+
+  // fn() s'exécute sous le verrou, sur un état à jour ; renvoie des lignes à ajouter
+  // au journal ({ records, result }) ou réécrit le journal lui-même (compaction)
+  withWriteLock(fn) {
+    const run = async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await this.acquireWriteLock();
+      try {
+        await this.refresh();
+        const { records = [], result } = await fn();
+        if (records.length) {
+          const text = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+          await fs.appendFile(this.filePath, text);
+          // Personne d'autre n'écrit pendant qu'on tient le verrou
+          await this.refresh();
+        }
+        return result;
+      } finally {
+        await fs.rm(this.lockPath, { force: true });
+      }
+    };
+    const next = this.chain.catch(() => {}).then(run);
+    this.chain = next;
+    return next;
+  }
+
+  readLocked(fn) {
+    const next = this.chain.catch(() => {}).then(async () => {
+      await this.refresh();
+      return fn();
+    });
+    this.chain = next;
+    return next;
+  }
+
+  async init() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await this.refresh();
+    return this;
+  }
+
+  create(job) {
+    return this.withWriteLock(() => {
+      const prepared = this.prepareJob(job);
+      return { records: [{ op: "put", job: prepared }], result: null };
+    }).then(() => this.jobs.get(job.id) || null);
+  }
+
+  update(jobId, patch) {
+    return this.withWriteLock(() => {
+      if (!this.jobs.has(jobId)) return { result: null };
+      return { records: [{ op: "patch", id: jobId, patch }], result: jobId };
+    }).then((updatedId) => (updatedId ? this.jobs.get(updatedId) || null : null));
+  }
+
+  get(jobId) {
+    return this.readLocked(() => super.get(jobId));
+  }
+
+  list(filter = () => true) {
+    return this.readLocked(() => super.list(filter));
+  }
+
+  claim(jobId, now = Date.now()) {
+    return this.withWriteLock(() => {
+      const job = this.jobs.get(jobId);
+      if (!job || this.held.has(jobId) || this.isLeasedElsewhere(job, now)) return { result: null };
+      this.held.add(jobId);
+      return { records: [{ op: "patch", id: jobId, patch: { lease: this.newLease(now) } }], result: jobId };
+    }).then((claimedId) => (claimedId ? this.jobs.get(claimedId) || null : null));
+  }
+
+  async release(jobId) {
+    if (!this.held.delete(jobId)) return;
+    await this.withWriteLock(() => {
+      const job = this.jobs.get(jobId);
+      if (job?.lease?.instance !== this.instance) return {};
+      return { records: [{ op: "patch", id: jobId, patch: { lease: null } }] };
+    });
+  }
+
+  renewLeases(now = Date.now()) {
+    if (!this.held.size) return Promise.resolve();
+    return this.withWriteLock(() => {
+      const records = [];
+      for (const jobId of this.held) {
+        const job = this.jobs.get(jobId);
+        // Bail perdu (expiré puis repris ailleurs) : l'autre instance fait foi
+        if (!job || this.isLeasedElsewhere(job, now)) {
+          this.held.delete(jobId);
+          console.log(JSON.stringify({ event: "JOB_LEASE_LOST", job_id: jobId, file: this.filePath }));
+          continue;
+        }
+        records.push({ op: "patch", id: jobId, patch: { lease: this.newLease(now) } });
+      }
+      return { records };
+    });
+  }
+
+  // Réécrit le journal avec une ligne "put" par job vivant, sous le verrou
+  purge(retentionMs, now = Date.now()) {
+    return this.withWriteLock(async () => {
+      let removed = 0;
+      for (const [jobId, job] of this.jobs.entries()) {
+        if (job.status === "pending" || job.delivery?.status === "pending") continue;
+        if (now - (job.finishedAt ?? job.createdAt) > retentionMs) {
+          this.jobs.delete(jobId);
+          removed++;
+        }
+      }
+      if (removed) {
+        const temp = `${this.filePath}.${process.pid}.tmp`;
+        const lines = Array.from(this.jobs.values()).map((job) => `${JSON.stringify({ op: "put", job })}\n`);
+        await fs.writeFile(temp, lines.join(""));
+        await fs.rename(temp, this.filePath);
+        await this.refresh();
+      }
+      return { result: removed };
+    });
+  }
+
+  stats() {
+    return { ...super.stats(), file: this.filePath };
+  }
+}
+
+export async function createJobStore(kind = process.env.SCRAPER_JOB_STORE || "memory") {
+  if (kind === "file") {
+    // Pas de défaut dans os.tmpdir() : vidé au redémarrage (Cloud Run), les jobs seraient perdus
+    const filePath = `${process.env.SCRAPER_JOB_STORE_FILE || ""}`.trim();
+    if (!filePath) {
+      throw new Error("SCRAPER_JOB_STORE=file needs SCRAPER_JOB_STORE_FILE on a persistent volume shared by the instances");
+    }
+    return new FileJobStore(filePath).init();
+  }
+  if (kind !== "memory") throw new Error(`Unknown SCRAPER_JOB_STORE "${kind}" (memory or file)`);
+  return new MemoryJobStore().init();
+}
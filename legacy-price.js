@@ -0,0 +1,31 @@
+import { formatPriceNumber } from "./price-format.js";
+
+// ─── FORMAT DE PRIX HISTORIQUE (legacyPrice=1 / SCRAPER_LEGACY_PRICE) ─────────
+// Les prix sont des objets { amount, currency, raw, source } ; les clients pas
+// encore migrés reçoivent l'ancien format "49.95" (string), variantes comprises.
+
+export function toLegacyPriceString(price) {
+  if (!price) return null;
+  if (typeof price !== "object") return `${price}`;
+  return formatPriceNumber(price.amount);
+}
+
+export function isLegacyPriceRequested(value) {
+  const flag = value ?? process.env.SCRAPER_LEGACY_PRICE;
+  return ["1", "true", "yes"].includes(`${flag ?? ""}`.trim().toLowerCase());
+}
+
+export function applyLegacyPriceFormat(result) {
+  if (!result || typeof result !== "object") return result;
+  const converted = {
+    ...result,
+    price: toLegacyPriceString(result.price),
+    originalPrice: toLegacyPriceString(result.originalPrice),
+  };
+  if (Array.isArray(result.variants)) {
+    converted.variants = result.variants.map((variant) => (variant && typeof variant === "object"
+      ? { ...variant, price: toLegacyPriceString(variant.price), originalPrice: toLegacyPriceString(variant.originalPrice) }
+      : variant));
+  }
+  return converted;
+}
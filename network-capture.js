@@ -0,0 +1,267 @@
+import { performance } from "node:perf_hooks";
+
+// ─── CAPTURE DES RÉPONSES XHR / FETCH JSON (stage1) ───────────────────────────
+// Beaucoup de SPA chargent prix et galerie en XHR après le HTML. On garde les
+// réponses JSON de la navigation, on y cherche des objets qui ressemblent à un
+// produit (titre + prix ou images, sku…) et on les donne à l'extraction comme
+// source supplémentaire. Avec dumpNetwork=1, les corps reviennent dans diagnostics.network.
+
+const CAPTURED_RESOURCE_TYPES = new Set(["xhr", "fetch"]);
+const JSON_CONTENT_TYPE = /[/+]json\b/i;
+// Suivi, analytics, CMP : jamais des données produit
+const IGNORED_URL_PATTERN = /google-analytics|googletagmanager|doubleclick|facebook\.com\/tr|hotjar|segment\.io|sentry|newrelic|datadome|px-cloud|cookielaw|privacy-center|usercentrics|cookiebot|trustarc|clarity\.ms|bat\.bing/i;
+
+// Clés reconnues, par groupe ; un objet produit a un titre et un prix ou des images
+const PRODUCT_KEYS = {
+  title: ["name", "title", "productName", "product_name", "displayName", "display_name"],
+  price: ["price", "salePrice", "sale_price", "currentPrice", "current_price", "finalPrice", "final_price", "priceValue", "sellingPrice", "prices", "offers", "priceInCents", "price_cents"],
+  images: ["images", "image", "imageUrl", "image_url", "media", "medias", "gallery", "pictures", "photos", "thumbnail", "featuredImage", "featured_image", "assets"],
+  sku: ["sku", "productId", "product_id", "itemId", "reference", "mpn", "gtin", "ean", "gtin13", "barcode"],
+  brand: ["brand", "brandName", "brand_name", "vendor", "manufacturer"],
+};
+const ORIGINAL_PRICE_KEYS = ["originalPrice", "original_price", "compareAtPrice", "compare_at_price", "listPrice", "list_price", "regularPrice", "regular_price", "wasPrice", "strikePrice", "strikethroughPrice"];
+const CURRENCY_KEYS = ["currency", "currencyCode", "currency_code", "currencyIso", "priceCurrency"];
+const CENTS_KEYS = new Set(["priceInCents", "price_cents"]);
+
+const MAX_WALK_DEPTH = 8;
+const MAX_WALK_NODES = 20000;
+const MAX_CANDIDATES_PER_RESPONSE = 20;
+const MAX_IMAGES_PER_CANDIDATE = 30;
+
+function readInteger(value, fallback) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function firstKey(node, keys) {
+  return keys.find((key) => node[key] !== undefined && node[key] !== null && node[key] !== "");
+}
+
+function readText(value) {
+  if (typeof value === "string") return value.trim() || null;
+  if (typeof value === "number") return `${value}`;
+  if (isPlainObject(value)) return readText(value.name ?? value.value ?? value.text ?? value.label ?? null);
+  return null;
+}
+
+function readCurrency(node) {
+  const key = isPlainObject(node) ? firstKey(node, CURRENCY_KEYS) : null;
+  return key ? readText(node[key]) : null;
+}
+
+// 12.9 | "12,90 €" | { value, currency } | { current: {…} } | [offre, …] → { value, currency }
+function readPrice(value, key = null, depth = 0) {
+  if (value === null || value === undefined || depth > 3) return null;
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || value <= 0) return null;
+    return { value: `${CENTS_KEYS.has(key) ? value / 100 : value}`, currency: null };
+  }
+  if (typeof value === "string") return /\d/.test(value) ? { value: value.trim(), currency: null } : null;
+  if (Array.isArray(value)) return readPrice(value[0], key, depth + 1);
+  if (!isPlainObject(value)) return null;
+  const innerKey = firstKey(value, ["value", "amount", "price", "current", "sale", "selling", "final", "centAmount", "formattedValue", "formatted"]);
+  if (!innerKey) return null;
+  const inner = readPrice(value[innerKey], innerKey === "centAmount" ? "priceInCents" : key, depth + 1);
+  if (!inner) return null;
+  return { value: inner.value, currency: inner.currency || readCurrency(value) };
+}
+
+// "https://…jpg" | { url | src | href } | [ … ] → URLs
+function readImages(value, depth = 0) {
+  if (!value || depth > 3) return [];
+  if (typeof value === "string") return /^(?:https?:)?\/\/|^\//.test(value.trim()) ? [value.trim()] : [];
+  if (Array.isArray(value)) return value.flatMap((item) => readImages(item, depth + 1));
+  if (!isPlainObject(value)) return [];
+  const key = firstKey(value, ["url", "src", "href", "originalSrc", "large", "zoom", "full", "original", "medium", "image", "uri"]);
+  return key ? readImages(value[key], depth + 1) : [];
+}
+
+// Objet JSON → candidat produit normalisé (null s'il n'en a pas l'allure)
+function toProductCandidate(node, path) {
+  const titleKey = firstKey(node, PRODUCT_KEYS.title);
+  const title = titleKey ? readText(node[titleKey]) : null;
+  if (!title || title.length > 300) return null;
+  const priceKey = firstKey(node, PRODUCT_KEYS.price);
+  const price = priceKey ? readPrice(node[priceKey], priceKey) : null;
+  const imageKey = firstKey(node, PRODUCT_KEYS.images);
+  const images = imageKey ? [...new Set(readImages(node[imageKey]))].slice(0, MAX_IMAGES_PER_CANDIDATE) : [];
+  if (!price && !images.length) return null;
+  const originalKey = firstKey(node, ORIGINAL_PRICE_KEYS);
+  const originalPrice = originalKey ? readPrice(node[originalKey], originalKey) : null;
+  const skuKey = firstKey(node, PRODUCT_KEYS.sku);
+  const brandKey = firstKey(node, PRODUCT_KEYS.brand);
+  const candidate = {
+    path,
+    title,
+    price: price?.value ?? null,
+    originalPrice: originalPrice?.value ?? null,
+    currency: price?.currency || originalPrice?.currency || readCurrency(node),
+    images,
+    sku: skuKey ? readText(node[skuKey]) : null,
+    gtin: readText(node.gtin ?? node.gtin13 ?? node.ean ?? node.barcode ?? null),
+    brand: brandKey ? readText(node[brandKey]) : null,
+  };
+  // Nombre de groupes de clés présents : départage les objets d'une même réponse
+  candidate.score = [title, candidate.price, images.length, candidate.sku, candidate.brand].filter(Boolean).length +
+    (candidate.originalPrice ? 0.5 : 0) + Math.min(images.length, 10) / 10;
+  return candidate;
+}
+
+/**
+ * Parcourt un corps JSON et renvoie ses objets « produit », meilleurs d'abord.
+ * path : chemin JSON de l'objet (ex. "data.product"), utile pour diagnostiquer.
+ */
+export function findProductCandidates(json) {
+  const candidates = [];
+  let visited = 0;
+  const walk = (node, path, depth) => {
+    if (visited++ > MAX_WALK_NODES || depth > MAX_WALK_DEPTH || !node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, `${path}[${index}]`, depth + 1));
+      return;
+    }
+    const candidate = toProductCandidate(node, path || "$");
+    if (candidate) candidates.push(candidate);
+    for (const [key, value] of Object.entries(node)) {
+      if (value && typeof value === "object") walk(value, path ? `${path}.${key}` : key, depth + 1);
+    }
+  };
+  walk(json, "", 0);
+  return candidates.sort((a, b) => b.score - a.score).slice(0, MAX_CANDIDATES_PER_RESPONSE);
+}
+
+function tokensOf(value) {
+  return `${value || ""}`.toLowerCase().split(/[^a-z0-9]+/).filter((token) => token.length > 2);
+}
+
+/**
+ * Choisit le produit de la page parmi les candidats de toutes les réponses :
+ * bonus si son sku apparaît dans l'URL ou si son titre en partage les mots,
+ * pour ne pas prendre un produit « vous aimerez aussi ».
+ */
+export function pickNetworkProduct(candidates, pageUrl) {
+  if (!candidates.length) return null;
+  let pathname = "";
+  try {
+    pathname = decodeURIComponent(new URL(pageUrl).pathname).toLowerCase();
+  } catch {
+    pathname = "";
+  }
+  const urlTokens = new Set(tokensOf(pathname));
+  const rank = (candidate) => {
+    let bonus = 0;
+    if (candidate.sku && candidate.sku.length > 2 && pathname.includes(candidate.sku.toLowerCase())) bonus += 3;
+    const titleTokens = tokensOf(candidate.title);
+    if (titleTokens.length) bonus += 2 * (titleTokens.filter((token) => urlTokens.has(token)).length / titleTokens.length);
+    return candidate.score + bonus;
+  };
+  return candidates.map((candidate) => ({ candidate, rank: rank(candidate) })).sort((a, b) => b.rank - a.rank)[0].candidate;
+}
+
+/**
+ * Écoute les réponses XHR/fetch JSON de page ; à créer avant la navigation.
+ * settle() attend la lecture des corps en cours, stop() détache l'écouteur.
+ */
+export function createNetworkCapture(page, {
+  maxResponses = readInteger(process.env.SCRAPER_NETWORK_CAPTURE_MAX_RESPONSES, 50),
+  maxBodyBytes = readInteger(process.env.SCRAPER_NETWORK_CAPTURE_MAX_BYTES, 1024 * 1024),
+} = {}) {
+  const entries = [];
+  const pending = new Set();
+  const startedAt = performance.now();
+  let skipped = 0;
+
+  const onResponse = (response) => {
+    const request = response.request();
+    if (!CAPTURED_RESOURCE_TYPES.has(request.resourceType())) return;
+    const url = response.url();
+    const headers = response.headers();
+    const contentType = headers["content-type"] || "";
+    if (!JSON_CONTENT_TYPE.test(contentType) || IGNORED_URL_PATTERN.test(url)) return;
+    if (entries.length + pending.size >= maxResponses) {
+      skipped++;
+      return;
+    }
+    const entry = {
+      url,
+      method: request.method(),
+      status: response.status(),
+      resourceType: request.resourceType(),
+      contentType,
+      headers: { "content-type": contentType, "content-length": headers["content-length"] ?? null, "cache-control": headers["cache-control"] ?? null },
+      receivedMs: Math.round(performance.now() - startedAt),
+      size: null,
+      truncated: false,
+      json: null,
+      error: null,
+      candidates: [],
+    };
+    const declaredLength = Number.parseInt(headers["content-length"] || "", 10);
+    if (declaredLength > maxBodyBytes) {
+      entries.push({ ...entry, size: declaredLength, truncated: true });
+      return;
+    }
+    const reading = response.text()
+      .then((text) => {
+        entry.size = Buffer.byteLength(text);
+        if (entry.size > maxBodyBytes) {
+          entry.truncated = true;
+          return;
+        }
+        entry.json = JSON.parse(text.replace(/^\)\]\}',?\s*/, ""));
+        entry.candidates = findProductCandidates(entry.json);
+      })
+      .catch((err) => {
+        entry.error = err?.message || "Unreadable body";
+      })
+      .finally(() => {
+        pending.delete(reading);
+        entries.push(entry);
+      });
+    pending.add(reading);
+  };
+  page.on("response", onResponse);
+
+  return {
+    // Corps encore en lecture : on attend au plus timeoutMs
+    async settle(timeoutMs = 2000) {
+      if (!pending.size) return;
+      let timer;
+      await Promise.race([
+        Promise.allSettled([...pending]),
+        new Promise((resolve) => { timer = setTimeout(resolve, timeoutMs); }),
+      ]);
+      clearTimeout(timer);
+    },
+
+    stop() {
+      page.off("response", onResponse);
+    },
+
+    productCandidates() {
+      return entries.flatMap((entry) => entry.candidates.map((candidate) => ({ ...candidate, responseUrl: entry.url })));
+    },
+
+    // Pour meta.network
+    summary() {
+      return {
+        jsonResponses: entries.length,
+        productCandidates: entries.reduce((total, entry) => total + entry.candidates.length, 0),
+        skipped,
+      };
+    },
+
+    // diagnostics.network (dumpNetwork=1) : corps JSON complets + métadonnées
+    dump() {
+      return entries.map(({ candidates, json, ...entry }) => ({
+        ...entry,
+        productCandidates: candidates.map(({ path, title, price, currency, sku }) => ({ path, title, price, currency, sku })),
+        body: json,
+      }));
+    },
+  };
+}
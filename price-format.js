@@ -0,0 +1,9 @@
+// ─── FORMATAGE DES MONTANTS ───────────────────────────────────────────────────
+// Partagé par l'extraction des prix (server.js) et le format historique (legacy-price.js).
+
+// Montant arrondi au centime, en string à deux décimales ("49.95") ; null si non numérique
+export function formatPriceNumber(value) {
+  if (!Number.isFinite(value)) return null;
+  const rounded = Math.round(value * 100) / 100;
+  return rounded.toFixed(2);
+}
@@ -0,0 +1,176 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import NodeCache from "node-cache";
+
+// ─── CACHE DES RÉSULTATS (stale-while-revalidate) ────────────────────────────
+// Succès gardés SCRAPER_CACHE_TTL secondes puis servis "stale" pendant
+// SCRAPER_CACHE_STALE_TTL le temps d'un rafraîchissement en arrière-plan.
+// Échecs (ok: false) gardés à part, moins longtemps, et jamais servis stale.
+// Stockage : mémoire (node-cache) par défaut, fichiers JSON avec SCRAPER_CACHE_STORE=file.
+
+function readSeconds(value, fallback) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export class MemoryCacheStore {
+  constructor() {
+    this.name = "memory";
+    this.cache = new NodeCache({ checkperiod: 60, useClones: false });
+  }
+
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  async set(key, entry, ttlSeconds) {
+    this.cache.set(key, entry, ttlSeconds);
+  }
+
+  async delete(key) {
+    this.cache.del(key);
+  }
+
+  stats() {
+    return { keys: this.cache.keys().length };
+  }
+}
+
+// Un fichier par clé (hash sha1) ; l'expiration est vérifiée à la lecture
+export class FileCacheStore {
+  constructor(dir) {
+    this.name = "file";
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${createHash("sha1").update(key).digest("hex")}.json`);
+  }
+
+  async get(key) {
+    let stored;
+    try {
+      stored = JSON.parse(await fs.readFile(this.filePath(key), "utf8"));
+    } catch (err) {
+      if (err?.code === "ENOENT") return undefined;
+      throw err;
+    }
+    if (stored.key !== key) return undefined;
+    if (stored.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return undefined;
+    }
+    return stored.entry;
+  }
+
+  async set(key, entry, ttlSeconds) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ key, expiresAt: Date.now() + ttlSeconds * 1000, entry }));
+    await fs.rename(temp, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  stats() {
+    return { dir: this.dir };
+  }
+}
+
+export function createCacheStore(kind = process.env.SCRAPER_CACHE_STORE || "memory") {
+  if (kind === "file") {
+    return new FileCacheStore(process.env.SCRAPER_CACHE_DIR || path.join(os.tmpdir(), "feednly-scraper-cache"));
+  }
+  if (kind !== "memory") throw new Error(`Unknown SCRAPER_CACHE_STORE "${kind}" (memory or file)`);
+  return new MemoryCacheStore();
+}
+
+export function createResultCache({
+  store = createCacheStore(),
+  ttlSeconds = readSeconds(process.env.SCRAPER_CACHE_TTL, 180),
+  staleSeconds = readSeconds(process.env.SCRAPER_CACHE_STALE_TTL, 1800),
+  negativeTtlSeconds = readSeconds(process.env.SCRAPER_CACHE_NEGATIVE_TTL, 30),
+} = {}) {
+  const counters = { hits: 0, staleHits: 0, misses: 0, bypasses: 0, writes: 0, errors: 0, refreshFailures: 0 };
+  const refreshing = new Set();
+
+  return {
+    store,
+    enabled: ttlSeconds > 0,
+
+    // { state: "fresh" | "stale", entry } ou null
+    async lookup(key) {
+      if (!this.enabled) return null;
+      const entry = await store.get(key);
+      if (!entry) return null;
+      const now = Date.now();
+      if (now < entry.freshUntil) return { state: "fresh", entry };
+      if (!entry.negative && now < entry.staleUntil) return { state: "stale", entry };
+      return null;
+    },
+
+    async save(key, result) {
+      if (!this.enabled || !result) return;
+      const negative = !result.ok;
+      const freshSeconds = negative ? negativeTtlSeconds : ttlSeconds;
+      if (freshSeconds <= 0) return;
+      const keepSeconds = negative ? freshSeconds : freshSeconds + staleSeconds;
+      const storedAt = Date.now();
+      await store.set(key, {
+        result,
+        negative,
+        storedAt,
+        freshUntil: storedAt + freshSeconds * 1000,
+        staleUntil: storedAt + keepSeconds * 1000,
+      }, keepSeconds);
+      counters.writes++;
+    },
+
+    // Un seul rafraîchissement à la fois par clé. Un échec (ok: false, scrape
+    // interrompu) n'écrase pas l'entrée stale, qui reste servie jusqu'à son expiration.
+    refreshInBackground(key, refreshFn) {
+      if (refreshing.has(key)) return false;
+      refreshing.add(key);
+      Promise.resolve()
+        .then(refreshFn)
+        .then((result) => {
+          if (result?.ok && !result?.meta?.aborted) return this.save(key, result);
+          counters.refreshFailures++;
+          console.log(JSON.stringify({ event: "CACHE_REFRESH_SKIPPED", key, error: result?.error || result?.meta?.aborted || "refresh failed" }));
+          return null;
+        })
+        .catch((err) => {
+          counters.errors++;
+          console.log(JSON.stringify({ event: "CACHE_REFRESH_FAILED", key, error: err?.message || String(err) }));
+        })
+        .finally(() => refreshing.delete(key));
+      return true;
+    },
+
+    count(status) {
+      if (status === "hit") counters.hits++;
+      else if (status === "stale") counters.staleHits++;
+      else if (status === "bypass") counters.bypasses++;
+      else if (status === "miss") counters.misses++;
+      else if (status === "error") counters.errors++;
+    },
+
+    stats() {
+      return {
+        enabled: this.enabled,
+        store: store.name,
+        ttlSeconds,
+        staleSeconds,
+        negativeTtlSeconds,
+        refreshing: refreshing.size,
+        ...counters,
+        ...store.stats(),
+      };
+    },
+  };
+}
@@ -0,0 +1,115 @@
+// ─── FUSION DES RÉSULTATS PARTIELS ENTRE STAGES ──────────────────────────────
+// Chaque stage peut apporter une partie des champs (stage0 : titre + images
+// sans prix, stage1 : prix rendu en JS…). On garde, champ par champ, la valeur
+// du stage le plus fiable et on note dans meta.fieldStages d'où vient chaque champ.
+
+// Champs fusionnables (et utilisables dans requiredFields du routage)
+export const MERGEABLE_FIELDS = [
+  "title", "description", "price", "availability", "variants", "brand", "sku", "gtin", "mpn",
+  "rating", "categoryPath", "images", "canonicalUrl", "finalUrl",
+];
+
+// Champs qui voyagent ensemble : un prix barré n'a de sens qu'avec son prix
+const FIELD_GROUPS = {
+  price: ["price", "originalPrice", "discountPercent"],
+  availability: ["availability", "variantAvailability"],
+};
+
+// Confiance de base par stage : API structurées > HTML rendu > HTML brut
+const STAGE_CONFIDENCE = {
+  shopify_api: 0.95,
+  apify: 0.9,
+  stage1: 0.8,
+  stage4: 0.8,
+  stage3: 0.75,
+  stage0: 0.7,
+};
+
+// L'API Shopify ne connaît que product_type pour la catégorie et reconstruit l'URL
+const FIELD_CONFIDENCE_OVERRIDES = {
+  shopify_api: { categoryPath: 0.4, canonicalUrl: 0.5, finalUrl: 0.5 },
+};
+
+function priceSourceAdjustment(source) {
+  const value = `${source || ""}`;
+  if (/^jsonld|^shopify_api$|^apify$/.test(value)) return 0.05;
+  if (value === "dom_price") return -0.1;
+  return 0;
+}
+
+export function fieldConfidence(stage, field, result) {
+  const override = FIELD_CONFIDENCE_OVERRIDES[stage]?.[field];
+  let confidence = override ?? STAGE_CONFIDENCE[stage] ?? 0.5;
+  if (field === "price") confidence += priceSourceAdjustment(result?.price?.source);
+  return Math.round(confidence * 100) / 100;
+}
+
+export function isEmptyField(field, value) {
+  if (value === null || value === undefined || value === "") return true;
+  if (Array.isArray(value)) return value.length === 0;
+  if (field === "availability") return value === "unknown";
+  return false;
+}
+
+export function missingRequiredFields(result, requiredFields = []) {
+  return requiredFields.filter((field) => isEmptyField(field, result?.[field]));
+}
+
+/**
+ * entries : [{ stage, result }] dans l'ordre d'exécution.
+ * À confiance égale, le premier stage exécuté gagne. Les images sont
+ * concaténées (stage le plus fiable d'abord) puis dédupliquées.
+ */
+export function mergeStageResults(entries, { maxImages = Infinity, imageKey = (url) => url } = {}) {
+  const usable = entries.filter((entry) => entry?.result);
+  if (!usable.length) return null;
+
+  const merged = {};
+  const fieldStages = {};
+
+  const rankFor = (field) => usable
+    .map((entry, order) => ({ entry, order, confidence: fieldConfidence(entry.stage, field, entry.result) }))
+    .filter(({ entry }) => !isEmptyField(field, entry.result[field]))
+    .sort((a, b) => b.confidence - a.confidence || a.order - b.order);
+
+  for (const field of MERGEABLE_FIELDS) {
+    const groupFields = FIELD_GROUPS[field] || [field];
+    if (field === "images") {
+      const ranked = rankFor("images");
+      const seen = new Set();
+      merged.images = [];
+      for (const { entry } of ranked) {
+        for (const image of entry.result.images) {
+          const key = imageKey(image?.url);
+          if (!image?.url || seen.has(key)) continue;
+          seen.add(key);
+          merged.images.push(image);
+        }
+      }
+      merged.images = merged.images.slice(0, maxImages);
+      if (ranked.length) fieldStages.images = ranked[0].entry.stage;
+      continue;
+    }
+    const best = rankFor(field)[0];
+    for (const groupField of groupFields) {
+      merged[groupField] = best ? best.entry.result[groupField] ?? null : usable[0].result[groupField] ?? null;
+    }
+    if (best) fieldStages[field] = best.entry.stage;
+  }
+
+  const contributing = new Set(Object.values(fieldStages));
+  const last = usable[usable.length - 1];
+  const explainSource = usable.find((entry) => entry.stage === fieldStages.title && entry.result.explain) ||
+    usable.find((entry) => entry.result.explain);
+
+  return {
+    ok: usable.some((entry) => entry.result.ok),
+    ...merged,
+    ...(explainSource ? { explain: explainSource.result.explain } : {}),
+    meta: {
+      ...(last.result.meta || {}),
+      fieldStages,
+      mergedStages: usable.map((entry) => entry.stage).filter((stage) => contributing.has(stage)),
+    },
+  };
+}
@@ -4,10 +4,41 @@ import puppeteer from "puppeteer-extra";
 import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import axios from "axios";
 import he from "he";
+import TurndownService from "turndown";
+import sanitizeHtml from "sanitize-html";
+import { convert as htmlToText } from "html-to-text";
 import fs from "node:fs/promises";
 import path from "node:path";
 import { isIP } from "node:net";
+import { createHash, timingSafeEqual } from "node:crypto";
 import { performance } from "node:perf_hooks";
+import {
+  loadSiteProfiles,
+  listSiteProfiles,
+  resolveSiteProfile,
+  isProfileAllowedImage,
+  isProfileDeniedImage,
+  isProfileMarketingImage,
+  bypassesMarketingFilter,
+  computeProfileImageBoost,
+  looksLikeProfileImage,
+  hasExcludedImageClass,
+  EMPTY_SITE_PROFILE,
+} from "./site-profiles.js";
+import { STAGE_NAMES, loadStageRouting, describeStageRouting, resolveStagePlan } from "./stage-routing.js";
+import { MERGEABLE_FIELDS, isEmptyField, missingRequiredFields, mergeStageResults } from "./result-merge.js";
+import { createResultCache } from "./result-cache.js";
+import { createJobStore } from "./job-store.js";
+import { createStageScheduler } from "./stage-scheduler.js";
+import { createWebhookDelivery } from "./webhook-delivery.js";
+import { createProxyPool } from "./proxy-pool.js";
+import { createSessionStore } from "./session-store.js";
+import { createConsentHandler } from "./cookie-consent.js";
+import { createNetworkCapture, pickNetworkProduct } from "./network-capture.js";
+import { hostnameOf } from "./hostname-patterns.js";
+import { formatPriceNumber } from "./price-format.js";
+import { isLegacyPriceRequested, applyLegacyPriceFormat } from "./legacy-price.js";
+import { detectAntiBot, summarizeAntiBot, describeAntiBotBlock } from "./anti-bot.js";
 
 const axiosMaxRedirects = Number.parseInt(process.env.SCRAPER_AXIOS_MAX_REDIRECTS || "", 10);
 if (Number.isFinite(axiosMaxRedirects) && axiosMaxRedirects >= 0) {
@@ -19,12 +50,75 @@ app.set("etag", false);
 
 puppeteer.use(StealthPlugin());
 
+// Profils par site (profiles/*.json|yaml) — chargés une fois au démarrage
+const loadedSiteProfiles = await loadSiteProfiles();
+console.log(JSON.stringify({ event: "SITE_PROFILES_LOADED", count: loadedSiteProfiles.length, names: loadedSiteProfiles.map((p) => p.name) }));
+
+// Routage des stages par domaine (routing.yaml) — rechargeable sans redémarrage
+const initialRouting = await loadStageRouting();
+console.log(JSON.stringify({ event: "ROUTING_LOADED", origin: initialRouting.origin, routes: initialRouting.routes.length }));
+
+async function reloadStageRouting(trigger) {
+  try {
+    const routing = await loadStageRouting();
+    console.log(JSON.stringify({ event: "ROUTING_RELOADED", trigger, origin: routing.origin, routes: routing.routes.length }));
+    return routing;
+  } catch (err) {
+    console.log(JSON.stringify({ event: "ROUTING_RELOAD_FAILED", trigger, error: err?.message || String(err) }));
+    throw err;
+  }
+}
+
+// Limites de concurrence http / browser / paid (SCRAPER_*_CONCURRENCY)
+const stageScheduler = createStageScheduler();
+
+// Proxies (SCRAPER_PROXY_POOL) : rotation, santé et mise à l'écart par proxy
+const proxyPool = createProxyPool();
+if (proxyPool.enabled) {
+  const { proxies, fallback, rotation, sticky } = proxyPool.stats();
+  console.log(JSON.stringify({ event: "PROXY_POOL_LOADED", count: proxies.length, fallback: fallback?.proxy || null, rotation, sticky }));
+}
+
+// Statuts qui comptent comme un échec du proxy utilisé
+const PROXY_FAILURE_STATUSES = new Set([403, 407, 429]);
+
+// Sessions par domaine (SCRAPER_SESSION_*) : cookies partagés entre axios et Puppeteer
+const sessionStore = createSessionStore();
+
+// Bandeaux de consentement (SCRAPER_CONSENT_*) fermés avant la capture du HTML
+const consentHandler = createConsentHandler();
+
+// Cookie de la session sur la requête axios, Set-Cookie des redirections enregistrés
+// et renvoyés au saut suivant (follow-redirects ne garde pas de cookies)
+function applySessionCookies(axiosConfig, session, url) {
+  if (!session) return axiosConfig;
+  const cookie = session.cookieHeader(url);
+  if (cookie) axiosConfig.headers = { ...axiosConfig.headers, Cookie: cookie };
+  axiosConfig.beforeRedirect = (options, { headers }, requestDetails) => {
+    session.storeSetCookies(requestDetails?.url || url, headers?.["set-cookie"]);
+    for (const name of Object.keys(options.headers || {})) {
+      if (name.toLowerCase() === "cookie") delete options.headers[name];
+    }
+    const nextCookie = options.href ? session.cookieHeader(options.href) : "";
+    if (nextCookie) options.headers = { ...options.headers, Cookie: nextCookie };
+  };
+  return axiosConfig;
+}
+
+// Set-Cookie d'une réponse axios (succès ou erreur HTTP), rattachés à l'URL finale
+function storeResponseCookies(session, url, response) {
+  if (!session || !response) return;
+  session.storeSetCookies(response.request?.res?.responseUrl || url, response.headers?.["set-cookie"]);
+}
+
+process.on("SIGHUP", () => {
+  reloadStageRouting("SIGHUP").catch(() => {});
+});
+
 const NAVIGATION_TIMEOUT = Math.max(
   5000,
   Number.parseInt(process.env.SCRAPER_NAVIGATION_TIMEOUT_MS || "40000", 10) || 40000
 );
-const STAGE1_HARD_TIMEOUT_MS = 15000;
-const STAGE3_HARD_TIMEOUT_MS = 30000;
 
 const HUMAN_DELAY_RANGE = [400, 800];
 
@@ -109,6 +203,45 @@ function isUnitPrice(text) {
   return UNIT_PRICE_PATTERNS.some((p) => p.test(str));
 }
 
+// Prix barrés / prix de référence (avant remise)
+const ORIGINAL_PRICE_SELECTORS = [
+  "[class*='price'] del", "[class*='price'] s", "del[class*='price']", "s[class*='price']",
+  "[class*='old-price']", "[class*='oldPrice']", "[class*='old_price']",
+  "[class*='was-price']", "[class*='wasPrice']", "[class*='price-before']",
+  "[class*='compare-at']", "[class*='compareAt']", "[class*='compare_at']", "[class*='price--compare']",
+  "[class*='strikethrough']", "[class*='strike-through']",
+  "[data-price-type='oldPrice']", "[data-compare-price]",
+];
+const ORIGINAL_PRICE_SELECTOR = ORIGINAL_PRICE_SELECTORS.join(",");
+
+const LIST_PRICE_TYPE_PATTERN = /ListPrice|StrikethroughPrice|SRP|MSRP/i;
+
+// ─── DISPONIBILITÉ ────────────────────────────────────────────────────────────
+// schema.org (InStock, OutOfStock…), Apify (IN_STOCK…), booléens Shopify
+const AVAILABILITY_ALIASES = new Map([
+  ["instock", "in_stock"], ["instoreonly", "in_stock"], ["onlineonly", "in_stock"],
+  ["limitedavailability", "in_stock"], ["lowstock", "in_stock"], ["available", "in_stock"],
+  ["outofstock", "out_of_stock"], ["soldout", "out_of_stock"], ["discontinued", "out_of_stock"],
+  ["unavailable", "out_of_stock"], ["notavailable", "out_of_stock"],
+  ["preorder", "preorder"], ["presale", "preorder"],
+  ["backorder", "backorder"],
+]);
+const AVAILABILITY_PRECEDENCE = ["in_stock", "preorder", "backorder", "out_of_stock", "unknown"];
+
+function normalizeAvailability(value) {
+  if (value === true) return "in_stock";
+  if (value === false) return "out_of_stock";
+  if (!value) return "unknown";
+  const key = `${value}`.trim().split("/").pop().toLowerCase().replace(/[^a-z]/g, "");
+  return AVAILABILITY_ALIASES.get(key) || "unknown";
+}
+
+// Un seul variant disponible suffit pour considérer le produit en stock
+function aggregateAvailability(statuses) {
+  const known = new Set((statuses || []).filter((status) => status && status !== "unknown"));
+  return AVAILABILITY_PRECEDENCE.find((status) => known.has(status)) || "unknown";
+}
+
 const DEFAULT_USD_TO_EUR_RATE = 0.92;
 
 // ─── IMAGE PRIORITY SOURCES ───────────────────────────────────────────────────
@@ -137,7 +270,6 @@ const STRONG_PRODUCT_URL_PATTERNS = [
   /media[-_]\d+[-_]\d+\./i,
   /\/ecomm\//i,
   /[-_]ecomm[-_]/i,
-  /media\.sephora\.eu.*\/pim\//i, // ✅ PATCH: Sephora PIM images
 ];
 
 const MARKETING_URL_PATTERNS = [
@@ -215,14 +347,6 @@ const MARKETING_URL_PATTERNS = [
   /[\/\-_]Menu_/i,
   /Merch[-_]/i,
   /_csw\./i,
-  // ✅ PATCH: Sephora brand corner / editorial images (pas des images produit)
-  /BrandCorner/i,
-  /brand_corner/i,
-  /Library-Sites-SephoraV2/i,
-  /GWP_W\d+/i,           // cadeaux avec achat
-  /dw\/image\/v2.*Library/i,
-  /mysephora.*fid/i,
-  /blackfid|goldfid|bronzefid/i,
   /-blob\./i,  // PATCH: Nocibe swatches de couleurs
 ];
 
@@ -241,24 +365,16 @@ const PURE_PRODUCT_URL_PATTERNS = [
   /[-_]\d{1,4}g[-_.]/i,
   /[-_]\d{1,4}oz[-_.]/i,
   /ecomm.*product|product.*ecomm/i,
-  /media\.sephora\.eu.*\/pim\/published/i, // ✅ PATCH: Sephora PIM published
 ];
 
 // ─── GALLERY ORDERED SELECTORS ────────────────────────────────────────────────
+// Les sélecteurs propres à un site vivent dans son profil (profiles/) et passent en premier
 const GALLERY_SELECTORS = [
-  // ✅ PATCH: Sephora spécifique — images dans les li button img (carrousel produit)
-  "li button img[src*='sephora.eu']",
-  "li button img[src*='media.sephora']",
-  "li img[src*='sephora.eu']",
   // Shopify Dawn / generic
   "[class*='product__media-item'] img",
   "[class*='product-media-container'] img",
   // Charlotte Tilbury
   "ul li img[src*='ctfassets']",
-  // Sephora FR/US
-  "[data-comp='ProductMediaSlider'] img",
-  "[class*='productImage'] img",
-  "[data-testid='product-image-thumbnail'] img",
   // Marionnaud / Douglas
   "[class*='product-gallery'] img",
   "[class*='ProductGallery'] img",
@@ -319,11 +435,12 @@ function detectCurrencyFromShopifyLocale(url) {
   }
 }
 
-async function runShopifyApi(url) {
+async function runShopifyApi(url, { explain = false, signal = null } = {}) {
   const handle = extractShopifyHandle(url);
   if (!handle) return { ok: false, stage: "shopify_api", error: "Not a Shopify product URL" };
 
   const stageStart = performance.now();
+  const session = await sessionStore.open(url);
   try {
     const parsed = new URL(url);
     const handlesToTry = new Set([handle]);
@@ -335,13 +452,16 @@ async function runShopifyApi(url) {
     for (const h of handlesToTry) {
       try {
         const apiUrl = `${parsed.protocol}//${parsed.hostname}/products/${h}.json`;
-        response = await axios.get(apiUrl, {
+        response = await axios.get(apiUrl, applySessionCookies({
           timeout: 10000,
           headers: { "User-Agent": pickUserAgent(), "Accept": "application/json" },
-        });
+          signal,
+        }, session, apiUrl));
+        storeResponseCookies(session, apiUrl, response);
         usedHandle = h;
         break;
       } catch (err) {
+        storeResponseCookies(session, url, err?.response);
         if (err?.response?.status === 404) continue;
         throw err;
       }
@@ -352,19 +472,42 @@ async function runShopifyApi(url) {
     if (!product) return { ok: false, stage: "shopify_api", error: "No product in response" };
 
     const title = product.title || null;
-    const description = product.body_html
-      ? stripHtml(cheerio.load(product.body_html).text()).slice(0, 300) || null
-      : null;
+    const description = product.body_html || null;
 
     const variant = product.variants?.[0];
     const rawPrice = variant?.price ? `${variant.price}` : null;
-    let price = null;
-    if (rawPrice) {
-      const amount = parseNumericPrice(rawPrice);
-      if (amount !== null) {
-        price = formatPriceNumber(amount);
-      }
-    }
+    const shopifyCurrency = detectCurrencyFromShopifyLocale(url);
+    const price = buildPriceObject(rawPrice, { source: "shopify_api", fallbackCurrency: shopifyCurrency });
+    const compareAtPrice = variant?.compare_at_price
+      ? buildPriceObject(`${variant.compare_at_price}`, { source: "shopify_api_compare_at", fallbackCurrency: shopifyCurrency })
+      : null;
+    const priceFields = resolvePriceFields(price, compareAtPrice);
+
+    const optionNames = (product.options || []).map((option) => option?.name);
+    const imagesByVariant = new Map();
+    (product.images || []).forEach((img) => {
+      (img.variant_ids || []).forEach((variantId) => {
+        imagesByVariant.set(variantId, [...(imagesByVariant.get(variantId) || []), img.src]);
+      });
+    });
+    const variants = dedupeVariants((product.variants || []).map((v) => buildVariant({
+      id: v.id,
+      title: v.title,
+      sku: v.sku,
+      options: extractVariantOptions(v, optionNames),
+      price: buildPriceObject(v.price, { source: "shopify_api", fallbackCurrency: shopifyCurrency }),
+      originalPrice: buildPriceObject(v.compare_at_price, { source: "shopify_api_compare_at", fallbackCurrency: shopifyCurrency }),
+      availability: normalizeAvailability(v.available),
+      images: collectVariantImages([...(imagesByVariant.get(v.id) || []), v.featured_image], url),
+    })));
+    const variantAvailability = toVariantAvailability(variants);
+    const availability = aggregateAvailability(variantAvailability.map((v) => v.availability));
+    const identifiers = {
+      brand: cleanIdentifier(product.vendor),
+      sku: cleanIdentifier(variant?.sku),
+      gtin: normalizeGtin(variant?.barcode),
+      mpn: null,
+    };
 
     const images = (product.images || [])
       .map((img) => img.src)
@@ -376,13 +519,15 @@ async function runShopifyApi(url) {
       })
       .slice(0, MAX_IMAGE_RESULTS);
 
-    if (!title || !images.length) {
-      return { ok: false, stage: "shopify_api", error: "Incomplete Shopify data" };
-    }
-
     const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
-    return buildSuccessPayload(
-      { title, description, price, images },
+    const payload = buildSuccessPayload(
+      {
+        title, description, ...priceFields, availability, variantAvailability, variants, ...identifiers,
+        categoryPath: categoryPathFromShopifyProduct(product), images,
+        canonicalUrl: product.handle ? `${parsed.origin}/products/${product.handle}` : null,
+        finalUrl: url,
+        ...(explain ? { explain: buildApiExplanation("shopify_api", price, images) } : {}),
+      },
       {
         stage: "shopify_api",
         blocked: false,
@@ -394,12 +539,24 @@ async function runShopifyApi(url) {
         navigationTimedOut: false,
       }
     );
+    if (!title || !images.length) {
+      return { ok: false, stage: "shopify_api", error: "Incomplete Shopify data", partial: { ...payload, ok: false } };
+    }
+    return payload;
   } catch (err) {
     const status = err?.response?.status;
+    if (err?.response) {
+      const antiBot = detectAntiBot({ status, headers: err.response.headers, html: typeof err.response.data === "string" ? err.response.data : "" });
+      if (antiBot.blocked) {
+        return { ok: false, stage: "shopify_api", status: "blocked", error: describeAntiBotBlock("Shopify API", antiBot), antiBot: summarizeAntiBot(antiBot) };
+      }
+    }
     const message = err?.message
       ? `${err.message}${status ? ` (status ${status})` : ""}`
       : "Shopify API failed";
     return { ok: false, stage: "shopify_api", error: message };
+  } finally {
+    await session?.save();
   }
 }
 
@@ -478,9 +635,10 @@ const BROWSER_LAUNCH_ARGS = [
 
 let sharedBrowserPromise = null;
 
-function createBrowserLaunchOptions(userAgent) {
+function createBrowserLaunchOptions(userAgent, proxy = null) {
   const args = [...BROWSER_LAUNCH_ARGS];
   if (userAgent) args.push(`--user-agent=${userAgent}`);
+  if (proxy) args.push(`--proxy-server=${proxy.server}`);
   return { headless: "new", args };
 }
 
@@ -574,7 +732,7 @@ async function enableRequestOptimizations(page) {
   };
 }
 
-async function configurePage(page, url, preferredUserAgent) {
+async function configurePage(page, url, preferredUserAgent, session = null) {
   const userAgent = preferredUserAgent || pickUserAgent();
   const viewport = pickViewport();
   await page.setUserAgent(userAgent);
@@ -602,7 +760,10 @@ async function configurePage(page, url, preferredUserAgent) {
     page.setDefaultTimeout(Math.max(NAVIGATION_TIMEOUT, 30000));
   }
   await enableRequestOptimizations(page);
-  return { userAgent, viewport };
+  // Cookies déjà obtenus sur ce domaine (consentement, anti-bot) par un autre stage
+  const sessionCookies = session ? session.browserCookies(url) : [];
+  if (sessionCookies.length) await page.setCookie(...sessionCookies).catch(() => {});
+  return { userAgent, viewport, sessionCookies: sessionCookies.length };
 }
 
 async function navigatePage(page, url) {
@@ -614,10 +775,13 @@ async function navigatePage(page, url) {
   for (const strategy of strategies) {
     const attemptStart = performance.now();
     try {
-      await page.goto(url, { waitUntil: strategy.waitUntil, timeout: NAVIGATION_TIMEOUT });
+      const response = await page.goto(url, { waitUntil: strategy.waitUntil, timeout: NAVIGATION_TIMEOUT });
       await page.waitForSelector("body", { timeout: Math.min(10000, NAVIGATION_TIMEOUT) }).catch(() => {});
       const durationSeconds = roundDuration((performance.now() - attemptStart) / 1000);
-      return { waitUntil: strategy.label, durationSeconds, navigationTimedOut: false };
+      return {
+        waitUntil: strategy.label, durationSeconds, navigationTimedOut: false,
+        status: response?.status?.() ?? null, headers: response?.headers?.() ?? null,
+      };
     } catch (err) {
       const durationSeconds = roundDuration((performance.now() - attemptStart) / 1000);
       lastError = err;
@@ -657,48 +821,48 @@ function normalizeUrl(value, baseUrl) {
   }
 }
 
-function isValidImageUrl(url) {
-  if (!url) return false;
-  const lower = url.toLowerCase();
+// Badges de programmes de fidélité (tous sites)
+const LOYALTY_BADGE_PATTERN = /fid\.(gif|png|jpg|webp)|loyalty/i;
 
-  if (/\.gif($|\?|&)/i.test(lower)) return false;
-  if (/\.svg($|\?|&)/i.test(lower)) return false;
-  if (/library-sites/i.test(lower)) return false;
-  if (/fid\.(gif|png|jpg|webp)|loyalty|mysephora.*fid|blackfid|goldfid|bronzefid/i.test(lower)) return false;
-  if (/img\.youtube\.com|i\.ytimg\.com|vumbnail\.com|vimeo\.com\/video/i.test(lower)) return false;
+// Raison du refus d'une URL d'image (images.rejected[].reason en mode explain), null si valide
+function imageUrlRejection(url, profile = EMPTY_SITE_PROFILE) {
+  if (!url) return "empty_url";
+  const lower = url.toLowerCase();
 
-  // ✅ PATCH: Sephora PIM images — toujours valides
-  if (/media\.sephora\.eu.*\/pim\/published/i.test(lower)) return true;
+  if (/\.gif($|\?|&)/i.test(lower)) return "unsupported_format";
+  if (/\.svg($|\?|&)/i.test(lower)) return "unsupported_format";
+  if (/library-sites/i.test(lower)) return "marketing_pattern";
+  if (LOYALTY_BADGE_PATTERN.test(lower)) return "loyalty_badge";
+  if (isProfileDeniedImage(profile, url)) return "denied_by_profile";
+  if (/img\.youtube\.com|i\.ytimg\.com|vumbnail\.com|vimeo\.com\/video/i.test(lower)) return "video_thumbnail";
 
-  // CDN Paula's Choice
-  if (/paulaschoice-eu\.com/i.test(lower)) return true;
-  if (/media_thumbnail|[-_]thumbnail[-_\d]/i.test(lower)) return false;
+  // CDN / motifs toujours valides pour le site (profil)
+  if (isProfileAllowedImage(profile, url)) return null;
+  if (/media_thumbnail|[-_]thumbnail[-_\d]/i.test(lower)) return "thumbnail";
 
   if (!/\.(jpe?g|png|webp|avif)(?:$|\?|&)/i.test(lower) && !/\/(image|photo|picture|img)\//i.test(lower)) {
-    if (!/image|photo|picture|img|media|gallery/i.test(lower)) return false;
+    if (!/image|photo|picture|img|media|gallery/i.test(lower)) return "not_an_image";
   }
-  if (PLACEHOLDER_KEYWORDS.some((kw) => lower.includes(kw))) return false;
-  return true;
+  if (PLACEHOLDER_KEYWORDS.some((kw) => lower.includes(kw))) return "placeholder";
+  return null;
 }
 
-function computeImagePriorityScore(url, sourcePriority = 0) {
+function isValidImageUrl(url, profile = EMPTY_SITE_PROFILE) {
+  return imageUrlRejection(url, profile) === null;
+}
+
+// Marketing = motifs génériques + motifs du profil, sauf si un bonus du profil court-circuite le filtre
+function isMarketingImage(url, profile = EMPTY_SITE_PROFILE) {
+  if (bypassesMarketingFilter(profile, url)) return false;
+  return MARKETING_URL_PATTERNS.some((p) => p.test(url)) || isProfileMarketingImage(profile, url);
+}
+
+function computeImagePriorityScore(url, sourcePriority = 0, profile = EMPTY_SITE_PROFILE) {
   if (!url) return -Infinity;
 
-  let score = sourcePriority;
+  let score = sourcePriority + computeProfileImageBoost(profile, url);
 
-  // ✅ PATCH: Sephora PIM published — court-circuit du filtre marketing
-  // Les swatches Sephora (media_swatch) sont l'image principale, pas du marketing
-  const isSephoraPim = /media\.sephora\.eu.*\/pim\/published/i.test(url);
-  if (isSephoraPim) {
-    score += 6000;
-  } else {
-    for (const pattern of MARKETING_URL_PATTERNS) {
-      if (pattern.test(url)) {
-        score -= 5000;
-        break;
-      }
-    }
-  }
+  if (isMarketingImage(url, profile)) score -= 5000;
 
   for (const pattern of PURE_PRODUCT_URL_PATTERNS) {
     if (pattern.test(url)) {
@@ -877,7 +1041,17 @@ function computePriceContextPenalty(text) {
 }
 
 function findPriceInTexts(texts, currencyHints = []) {
-  if (!Array.isArray(texts) || !texts.length) return null;
+  return pickPriceCandidate(texts, currencyHints)?.value || null;
+}
+
+// Renvoie le meilleur candidat avec son index dans `texts` (pour retrouver la source)
+function pickPriceCandidate(texts, currencyHints = []) {
+  return rankPriceCandidates(texts, currencyHints)[0] || null;
+}
+
+// Candidats dédupliqués par valeur, du meilleur au moins bon
+function rankPriceCandidates(texts, currencyHints = []) {
+  if (!Array.isArray(texts) || !texts.length) return [];
   const normalizedCurrencyHints = Array.from(new Set(
     currencyHints.map((hint) => `${hint || ""}`.trim()).filter(Boolean)
   ));
@@ -890,7 +1064,7 @@ function findPriceInTexts(texts, currencyHints = []) {
       const match = normalized.match(regex);
       if (match && match[0]) {
         const candidate = scorePriceCandidate(match[0], { order: index, currencyHints: normalizedCurrencyHints, contextPenalty });
-        if (candidate) { candidates.push(candidate); break; }
+        if (candidate) { candidates.push({ ...candidate, index, contextPenalty }); break; }
       }
     }
   });
@@ -906,22 +1080,21 @@ function findPriceInTexts(texts, currencyHints = []) {
       for (const hint of normalizedCurrencyHints) {
         const combined = combinePriceWithCurrency(numberValue, hint);
         const candidate = scorePriceCandidate(combined, { order: texts.length + index, currencyHints: normalizedCurrencyHints, contextPenalty });
-        if (candidate) candidates.push(candidate);
+        if (candidate) candidates.push({ ...candidate, index, contextPenalty });
       }
     });
   }
-  if (!candidates.length) return null;
+  if (!candidates.length) return [];
   const deduped = new Map();
   for (const candidate of candidates) {
     const key = candidate.value;
     const existing = deduped.get(key);
     if (!existing || existing.score < candidate.score) deduped.set(key, candidate);
   }
-  const best = Array.from(deduped.values()).sort((a, b) => {
+  return Array.from(deduped.values()).sort((a, b) => {
     if (b.score !== a.score) return b.score - a.score;
     return a.order - b.order;
-  })[0];
-  return best ? best.value : null;
+  });
 }
 
 function combinePriceWithCurrency(priceValue, currencyValue) {
@@ -967,12 +1140,6 @@ function detectCurrencyFromText(value, currencyHints = []) {
   return null;
 }
 
-function formatPriceNumber(value) {
-  if (!Number.isFinite(value)) return null;
-  const rounded = Math.round(value * 100) / 100;
-  return rounded.toFixed(2);
-}
-
 function normalizePriceOutput(value, currencyHints = []) {
   if (!value) return null;
   let amount = parseNumericPrice(value);
@@ -987,9 +1154,369 @@ function normalizePriceOutput(value, currencyHints = []) {
   return formatPriceNumber(amount);
 }
 
+// Prix structuré : { amount, currency, raw, source }
+function buildPriceObject(value, { currencyHints = [], source = null, fallbackCurrency = null } = {}) {
+  if (value === null || value === undefined) return null;
+  const raw = `${value}`.replace(/\s+/g, " ").trim();
+  if (!raw) return null;
+  const amount = Number.parseFloat(normalizePriceOutput(raw, currencyHints));
+  if (!Number.isFinite(amount)) return null;
+  const currency = detectCurrencyFromText(raw, currencyHints) || fallbackCurrency || null;
+  return { amount, currency, raw, source };
+}
+
+// Prix barré conservé seulement s'il est strictement supérieur au prix de vente (même devise)
+function resolvePriceFields(price, originalPrice) {
+  const empty = { price: price || null, originalPrice: null, discountPercent: null };
+  if (!price || !originalPrice) return empty;
+  if (price.currency && originalPrice.currency && price.currency !== originalPrice.currency) return empty;
+  if (!(originalPrice.amount > price.amount)) return empty;
+  const discountPercent = Math.round(((originalPrice.amount - price.amount) / originalPrice.amount) * 100);
+  return { price, originalPrice, discountPercent };
+}
+
+// ─── VARIANTES ────────────────────────────────────────────────────────────────
+const MAX_VARIANT_RESULTS = 100;
+const VARIANT_OPTION_KEYS = [
+  "color", "colour", "size", "shade", "material", "pattern", "style", "width", "length", "flavor", "scent",
+];
+
+function toArray(value) {
+  return Array.isArray(value) ? value : value ? [value] : [];
+}
+
+function isPresentOptionValue(value) {
+  if (value === null || value === undefined) return false;
+  const text = `${value}`.trim();
+  return Boolean(text) && text !== "Default Title";
+}
+
+// Options d'un variant : tableau Shopify/.js, option1..3 Shopify, ou attributs (size, color…)
+function extractVariantOptions(item, optionNames = []) {
+  const options = [];
+  if (Array.isArray(item?.options)) {
+    item.options.forEach((option, index) => {
+      const isObject = option && typeof option === "object";
+      const name = (isObject && (option.name || option.label)) || optionNames[index] || `option${index + 1}`;
+      const value = isObject ? option.value ?? option.values?.[0] : option;
+      if (isPresentOptionValue(value)) options.push({ name: `${name}`, value: `${value}`.trim() });
+    });
+  }
+  if (!options.length) {
+    ["option1", "option2", "option3"].forEach((key, index) => {
+      if (isPresentOptionValue(item?.[key])) options.push({ name: optionNames[index] || key, value: `${item[key]}`.trim() });
+    });
+  }
+  if (!options.length) {
+    for (const key of VARIANT_OPTION_KEYS) {
+      const value = item?.[key];
+      const text = value && typeof value === "object" ? value.name : value;
+      if (typeof text !== "object" && isPresentOptionValue(text)) options.push({ name: key, value: `${text}`.trim() });
+    }
+  }
+  return options;
+}
+
+function collectVariantImages(values, baseUrl) {
+  const urls = toArray(values).flat()
+    .map((value) => (typeof value === "string" ? value : value?.src || value?.url || value?.contentUrl || null))
+    .map((value) => normalizeUrl(value, baseUrl))
+    .filter((value) => value && isValidImageUrl(value, resolveSiteProfile(baseUrl)));
+  return Array.from(new Set(urls));
+}
+
+function buildVariant({ id = null, title = null, sku = null, options = [], price = null, originalPrice = null, availability, images = [] }) {
+  return {
+    id: id ?? null,
+    title: title ? `${title}`.trim() : null,
+    sku: sku ? `${sku}`.trim() : null,
+    options,
+    ...resolvePriceFields(price, originalPrice),
+    availability: availability || "unknown",
+    images,
+  };
+}
+
+function toVariantAvailability(variants) {
+  return (variants || []).map(({ id, title, sku, availability }) => ({ id, title, sku, availability }));
+}
+
+// JSON-LD ProductGroup.hasVariant (ou Product.hasVariant)
+function extractJsonLdVariants(node, baseUrl, currencyHints = []) {
+  const variesBy = toArray(node?.variesBy).map((value) => `${value}`.split("/").pop());
+  return toArray(node?.hasVariant)
+    .filter((variant) => variant && typeof variant === "object")
+    .map((variant) => {
+      const offer = toArray(variant.offers)[0] || {};
+      const hints = [offer.priceCurrency, ...currencyHints].filter(Boolean);
+      const options = variesBy.length
+        ? variesBy
+          .map((name) => ({ name, value: typeof variant[name] === "object" ? variant[name]?.name : variant[name] }))
+          .filter((option) => isPresentOptionValue(option.value))
+          .map((option) => ({ name: option.name, value: `${option.value}`.trim() }))
+        : extractVariantOptions(variant);
+      const listPriceSpec = toArray(offer.priceSpecification)
+        .find((spec) => LIST_PRICE_TYPE_PATTERN.test(`${spec?.priceType || ""}`));
+      return buildVariant({
+        id: variant["@id"] || variant.productID || null,
+        title: variant.name,
+        sku: variant.sku,
+        options,
+        price: buildPriceObject(offer.price, { currencyHints: hints, source: "jsonld_variant" }),
+        originalPrice: buildPriceObject(listPriceSpec?.price, { currencyHints: hints, source: "jsonld_variant_list_price" }),
+        availability: normalizeAvailability(offer.availability),
+        images: collectVariantImages(variant.image, baseUrl),
+      });
+    });
+}
+
+function findMatchingBracket(text, start) {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "[" || ch === "{") depth++;
+    else if (ch === "]" || ch === "}") {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// Tableaux JSON `"key": [...]` dans un script (state Next.js, ShopifyAnalytics meta, etc.)
+function findJsonArraysForKey(text, key, limit = 5) {
+  const results = [];
+  const pattern = new RegExp(`"${key}"\\s*:\\s*\\[`, "g");
+  let match;
+  while ((match = pattern.exec(text)) !== null && results.length < limit) {
+    const start = match.index + match[0].length - 1;
+    const end = findMatchingBracket(text, start);
+    if (end === -1) continue;
+    try {
+      results.push(JSON.parse(text.slice(start, end + 1)));
+    } catch {
+      // ignore non-JSON arrays (JS literals)
+    }
+  }
+  return results;
+}
+
+function normalizeEmbeddedVariant(item, { baseUrl, currencyHints = [], priceInCents = false }) {
+  if (!item || typeof item !== "object") return null;
+  const id = item.id ?? item.variantId ?? item.variant_id ?? null;
+  if ((id === null || typeof id === "object") && !item.sku) return null;
+  const readAmount = (value) => {
+    const amount = value && typeof value === "object" ? value.current ?? value.value ?? value.amount ?? null : value;
+    return priceInCents && Number.isInteger(amount) ? amount / 100 : amount;
+  };
+  const hints = [item.currency, item.price?.currency, ...currencyHints].filter(Boolean);
+  return buildVariant({
+    id: typeof id === "object" ? null : id,
+    title: item.title || item.name || item.public_title || null,
+    sku: item.sku,
+    options: extractVariantOptions(item),
+    price: buildPriceObject(readAmount(item.price), { currencyHints: hints, source: "script_variant" }),
+    originalPrice: buildPriceObject(readAmount(item.compare_at_price ?? item.price?.original ?? null), {
+      currencyHints: hints, source: "script_variant_compare_at",
+    }),
+    availability: normalizeAvailability(item.available ?? item.availability ?? item.stockStatus ?? item.price?.stockStatus ?? item.inStock),
+    images: collectVariantImages([item.featured_image, item.image, item.imageUrl, item.images], baseUrl),
+  });
+}
+
+// Variantes au format Shopify (product JSON, ShopifyAnalytics meta) : prix entiers en centimes.
+// Reconnues à leurs champs propres, pas à la présence de "shopify" dans le script
+const SHOPIFY_VARIANT_KEYS = ["public_title", "compare_at_price", "option1", "inventory_management", "requires_shipping", "featured_image"];
+
+function isShopifyVariantList(items) {
+  const variants = toArray(items).filter((item) => item && typeof item === "object");
+  return variants.length > 0 && variants.every((item) => {
+    return Number.isInteger(item.price) && SHOPIFY_VARIANT_KEYS.some((key) => key in item);
+  });
+}
+
+function extractEmbeddedVariants(scriptContent, options) {
+  for (const candidate of findJsonArraysForKey(scriptContent, "variants")) {
+    const priceInCents = isShopifyVariantList(candidate);
+    const variants = toArray(candidate)
+      .map((item) => normalizeEmbeddedVariant(item, { ...options, priceInCents }))
+      .filter(Boolean);
+    if (variants.some((variant) => variant.options.length || variant.price)) return variants;
+  }
+  return [];
+}
+
+// Sans id ni sku, une variante est reconnue à ses options, son titre, son prix et sa
+// première image ; null si rien ne l'identifie (elle est alors toujours gardée)
+function variantDedupeKey(variant) {
+  if (variant.id !== null && variant.id !== undefined) return `id:${variant.id}`;
+  if (variant.sku) return `sku:${variant.sku}`;
+  const fields = [variant.options, variant.title, variant.price?.amount ?? null, variant.images?.[0] ?? null];
+  if (!variant.options.length && fields.slice(1).every((value) => value === null)) return null;
+  return JSON.stringify(fields);
+}
+
+function dedupeVariants(variants) {
+  const seen = new Set();
+  return variants.filter((variant) => {
+    const key = variantDedupeKey(variant);
+    if (key === null) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, MAX_VARIANT_RESULTS);
+}
+
+// ─── IDENTIFIANTS PRODUIT (brand, SKU, GTIN, MPN) ─────────────────────────────
+const GTIN_LENGTHS = [8, 12, 13, 14];
+const IDENTIFIER_RANK = { jsonld: 0, microdata: 1, meta: 2, network: 3 };
+
+// Clé de contrôle GS1 : pondération 3/1 depuis la droite (hors chiffre de contrôle)
+function isValidGtin(digits) {
+  if (!/^\d+$/.test(digits) || !GTIN_LENGTHS.includes(digits.length)) return false;
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function normalizeGtin(value) {
+  if (value === null || value === undefined) return null;
+  const digits = `${value}`.replace(/[\s-]/g, "");
+  return isValidGtin(digits) ? digits : null;
+}
+
+function cleanIdentifier(value) {
+  if (value === null || value === undefined || typeof value === "object") return null;
+  const text = `${value}`.replace(/\s+/g, " ").trim();
+  return text && text.length <= 100 ? text : null;
+}
+
+function readBrandName(value) {
+  const first = toArray(value)[0];
+  if (first && typeof first === "object") return cleanIdentifier(first.name);
+  return cleanIdentifier(first);
+}
+
+function readGtinFromNode(node) {
+  for (const key of ["gtin", "gtin13", "gtin14", "gtin12", "gtin8", "ean", "upc", "barcode"]) {
+    const gtin = normalizeGtin(node?.[key]);
+    if (gtin) return gtin;
+  }
+  return null;
+}
+
+// ─── NOTES & AVIS ─────────────────────────────────────────────────────────────
+// Widgets d'avis rendus côté serveur (souvent présents dans le HTML crawler de stage0)
+const RATING_WIDGETS = [
+  {
+    source: "judgeme",
+    selector: ".jdgm-prev-badge[data-average-rating]",
+    value: (el) => el.attr("data-average-rating"),
+    count: (el) => el.attr("data-number-of-reviews"),
+  },
+  {
+    source: "yotpo",
+    selector: ".yotpo-sr-bottom-line-summary, .yotpo-bottomline, .yotpo .bottomLine",
+    value: (el) => el.find(".yotpo-sr-bottom-line-score").first().text() || el.find(".sr-only").first().text(),
+    count: (el) => el.find(".yotpo-sr-bottom-line-text, .yotpo-sr-bottom-line-text--right-panel, a.text-m").first().text(),
+  },
+  {
+    source: "bazaarvoice",
+    selector: "[data-bv-show='rating_summary'], .bv_main_container",
+    value: (el) => el.find(".bv_avgRating_component_container").first().text() || el.attr("data-bv-rating"),
+    count: (el) => el.find(".bv_numReviews_text, .bv_numReviews_component_container").first().text(),
+  },
+  {
+    source: "trustpilot",
+    selector: ".trustpilot-widget [data-rating], [class*='trustpilot'][data-score], [class*='trustpilot'][data-rating]",
+    value: (el) => el.attr("data-rating") || el.attr("data-score"),
+    count: (el) => el.attr("data-review-count") || el.attr("data-number-of-reviews"),
+  },
+];
+
+function parseRatingNumber(value) {
+  if (value === null || value === undefined) return null;
+  const match = `${value}`.replace(",", ".").match(/\d+(?:\.\d+)?/);
+  if (!match) return null;
+  const number = Number.parseFloat(match[0]);
+  return Number.isFinite(number) ? number : null;
+}
+
+function parseReviewCount(value) {
+  if (value === null || value === undefined) return null;
+  const match = `${value}`.replace(/[\s.,](?=\d{3}\b)/g, "").match(/\d+/);
+  return match ? Number.parseInt(match[0], 10) : null;
+}
+
+// Note ramenée sur une échelle 0–5 quelle que soit l'échelle d'origine (bestRating)
+function normalizeRating({ ratingValue, bestRating, worstRating, count, source }) {
+  const value = parseRatingNumber(ratingValue);
+  if (value === null) return null;
+  const best = parseRatingNumber(bestRating) || 5;
+  const worst = parseRatingNumber(worstRating) ?? 0;
+  if (best <= worst || value < worst || value > best) return null;
+  const scaled = Math.round(((value - worst) / (best - worst)) * 5 * 100) / 100;
+  return { value: scaled, count: parseReviewCount(count), source };
+}
+
+// ─── FIL D'ARIANE / CATÉGORIES ────────────────────────────────────────────────
+const BREADCRUMB_HOME_PATTERN = /^(home|accueil|startseite|inicio|home page|página de inicio|start)$/i;
+const BREADCRUMB_DOM_SELECTORS = [
+  "nav[aria-label*='breadcrumb' i]",
+  "[class*='breadcrumb' i]",
+  "[id*='breadcrumb' i]",
+];
+
+function buildCategoryEntry(name, rawUrl, baseUrl) {
+  const text = `${name || ""}`.replace(/\s+/g, " ").trim();
+  if (!text || text.length > 120) return null;
+  return { name: decodeHtmlEntities(text), url: normalizeUrl(rawUrl, baseUrl) };
+}
+
+// Retire la racine "Accueil" et la dernière entrée si c'est le produit lui-même
+function cleanCategoryPath(entries, title) {
+  const path = entries.filter(Boolean);
+  if (path.length && BREADCRUMB_HOME_PATTERN.test(path[0].name)) path.shift();
+  const normalizedTitle = `${title || ""}`.replace(/\s+/g, " ").trim().toLowerCase();
+  if (path.length && normalizedTitle && normalizedTitle.startsWith(path[path.length - 1].name.toLowerCase())) path.pop();
+  return path;
+}
+
+function extractJsonLdBreadcrumbs(node, baseUrl) {
+  return toArray(node?.itemListElement)
+    .filter((entry) => entry && typeof entry === "object")
+    .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+    .map((entry) => {
+      const item = entry.item && typeof entry.item === "object" ? entry.item : null;
+      const name = entry.name || item?.name;
+      const itemUrl = item ? item["@id"] || item.url || item.id : entry.item || entry.url;
+      return buildCategoryEntry(name, itemUrl, baseUrl);
+    });
+}
+
+function categoryPathFromShopifyProduct(product) {
+  if (product?.product_type) return [{ name: `${product.product_type}`.trim(), url: null }];
+  const tags = Array.isArray(product?.tags) ? product.tags : `${product?.tags || ""}`.split(",");
+  return tags
+    .map((tag) => `${tag}`.trim().match(/^(?:category|collection|type)[:_\s-]+(.+)$/i)?.[1])
+    .filter(Boolean)
+    .map((name) => ({ name: name.trim(), url: null }));
+}
+
 // ─── ORDERED GALLERY EXTRACTION ───────────────────────────────────────────────
-function extractOrderedGallery($, pageUrl) {
-  for (const selector of GALLERY_SELECTORS) {
+function extractOrderedGallery($, pageUrl, profile = EMPTY_SITE_PROFILE) {
+  for (const selector of [...profile.selectors.images, ...GALLERY_SELECTORS]) {
     const elements = $(selector).toArray();
     if (elements.length < 2) continue;
 
@@ -999,7 +1526,7 @@ function extractOrderedGallery($, pageUrl) {
     for (const element of elements) {
       const el = $(element);
 
-      if (el.hasClass("js-megamenu-image")) continue;
+      if (hasExcludedImageClass(profile, el)) continue;
 
       const src =
         el.attr("src") ||
@@ -1020,13 +1547,10 @@ function extractOrderedGallery($, pageUrl) {
       if (!src) continue;
 
       const normalized = normalizeUrl(src, pageUrl);
-      if (!normalized || !isValidImageUrl(normalized)) continue;
+      if (!normalized || !isValidImageUrl(normalized, profile)) continue;
+      if (isMarketingImage(normalized, profile)) continue;
 
-      const isSephoraPim = /media\.sephora\.eu.*\/pim\/published/i.test(normalized);
-      const isMarketing = !isSephoraPim && MARKETING_URL_PATTERNS.some((p) => p.test(normalized));
-      if (isMarketing) continue;
-
-      const score = computeImagePriorityScore(normalized, SOURCE_PRIORITY.dom_strong);
+      const score = computeImagePriorityScore(normalized, SOURCE_PRIORITY.dom_strong, profile);
       if (score === -Infinity) continue;
 
       const key = createImageDedupKey(normalized);
@@ -1037,49 +1561,176 @@ function extractOrderedGallery($, pageUrl) {
     }
 
     if (galleryImages.length >= 2) {
-      return galleryImages;
+      return { selector, images: galleryImages };
     }
   }
 
-  return [];
+  return { selector: null, images: [] };
+}
+
+// ─── EXPLAIN (provenance & scores, opt-in via explain=1) ──────────────────────
+const MAX_EXPLAIN_REJECTED = 50;
+
+function roundScore(score) {
+  return Number.isFinite(score) ? Math.round(score * 100) / 100 : null;
+}
+
+
+function explainUnselectedImage(entry, selectedKeys, profile = EMPTY_SITE_PROFILE) {
+  if (selectedKeys.has(createImageDedupKey(entry.url))) return "duplicate";
+  if (entry.score === -Infinity) return "too_small";
+  if (isMarketingImage(entry.url, profile)) return "marketing_pattern";
+  return "lower_score";
+}
+
+function buildImagesExplanation({ finalImages, imageCandidates, rejectedImages, gallery, profile }) {
+  const bestByUrl = new Map();
+  for (const entry of imageCandidates) {
+    const existing = bestByUrl.get(entry.url);
+    if (!existing || entry.score > existing.score) bestByUrl.set(entry.url, entry);
+  }
+  const galleryUrls = new Set(gallery.images);
+  const selected = finalImages.map((imageUrl) => {
+    if (galleryUrls.has(imageUrl)) {
+      return { url: imageUrl, source: `gallery selector ${gallery.selector}`, score: null };
+    }
+    const entry = bestByUrl.get(imageUrl);
+    return { url: imageUrl, source: entry?.source || null, score: roundScore(entry?.score) };
+  });
+  const selectedUrls = new Set(finalImages);
+  const selectedKeys = new Set(finalImages.map(createImageDedupKey));
+  const rejected = [
+    ...rejectedImages,
+    ...Array.from(bestByUrl.values())
+      .filter((entry) => !selectedUrls.has(entry.url))
+      .sort((a, b) => b.score - a.score)
+      .map((entry) => ({
+        url: entry.url,
+        source: entry.source,
+        score: roundScore(entry.score),
+        reason: explainUnselectedImage(entry, selectedKeys, profile),
+      })),
+  ].slice(0, MAX_EXPLAIN_REJECTED);
+  return { selected, rejected };
+}
+
+function buildPriceExplanation({ priceValues, priceSources, rejectedPrices, currencyHints }) {
+  const ranked = rankPriceCandidates(priceValues, currencyHints);
+  const winner = ranked[0] || null;
+  const rankedByIndex = new Map(ranked.map((candidate) => [candidate.index, candidate]));
+  const rejected = [...rejectedPrices];
+  priceValues.forEach((value, index) => {
+    if (winner && index === winner.index) return;
+    const candidate = rankedByIndex.get(index);
+    let reason;
+    if (candidate) reason = candidate.contextPenalty < 0 ? "negative_context" : "lower_score";
+    else if (winner && value === priceValues[winner.index]) reason = "duplicate";
+    else reason = "no_price_pattern";
+    rejected.push({ value, source: priceSources[index] ?? null, score: roundScore(candidate?.score), reason });
+  });
+  return {
+    value: winner?.value || null,
+    source: winner ? priceSources[winner.index] ?? null : null,
+    score: roundScore(winner?.score),
+    rejected: rejected.slice(0, MAX_EXPLAIN_REJECTED),
+  };
+}
+
+// Stages API (Shopify, Apify) : une seule source, pas de concurrents
+function buildApiExplanation(source, price, images) {
+  return {
+    title: { source, rejected: [] },
+    description: { source, rejected: [] },
+    price: { value: price?.raw || null, source: price?.source || source, score: null, rejected: [] },
+    images: {
+      selected: images.map((image) => ({ url: typeof image === "string" ? image : image.url, source, score: null })),
+      rejected: [],
+    },
+  };
+}
+
+function buildFieldExplanation(candidates) {
+  const present = candidates.filter((candidate) => candidate.value && `${candidate.value}`.trim());
+  const [winner, ...others] = present;
+  return {
+    source: winner?.source || null,
+    rejected: others.map((candidate) => ({ source: candidate.source, reason: "lower_priority" })),
+  };
 }
 
 // ─── MAIN EXTRACTION FUNCTION ─────────────────────────────────────────────────
-function extractFromHtmlContent(html, url) {
-  if (!html) return { title: null, description: null, price: null, images: [] };
+// networkProduct : produit trouvé dans les réponses XHR/fetch JSON (stage1, voir pickNetworkProduct)
+function extractFromHtmlContent(html, url, { explain = false, networkProduct = null } = {}) {
+  if (!html) {
+    return {
+      title: null, description: null, price: null, originalPrice: null, discountPercent: null,
+      availability: "unknown", variantAvailability: [], variants: [],
+      brand: null, sku: null, gtin: null, mpn: null, rating: null, categoryPath: [], images: [],
+      canonicalUrl: null,
+    };
+  }
   const $ = cheerio.load(html);
+  const profile = resolveSiteProfile(url);
+  const profileSource = `profile:${profile.name}`;
 
   // ── Title ──
-  const metaTitle =
-    $("meta[property='og:title']").attr("content") ||
-    $("meta[name='twitter:title']").attr("content") ||
-    $("meta[name='title']").attr("content") || null;
-  const domTitle = $("h1").first().text().trim() || $("title").first().text().trim() || null;
-  const title = (metaTitle || domTitle || null)
-    ? (metaTitle || domTitle).replace(/\s+/g, " ").trim()
-    : null;
+  const titleCandidates = [
+    ...profile.selectors.title.map((selector) => ({ source: profileSource, value: $(selector).first().text().trim() })),
+    { source: "meta[property='og:title']", value: $("meta[property='og:title']").attr("content") },
+    { source: "meta[name='twitter:title']", value: $("meta[name='twitter:title']").attr("content") },
+    { source: "meta[name='title']", value: $("meta[name='title']").attr("content") },
+    { source: "network_json", value: networkProduct?.title },
+    { source: "h1", value: $("h1").first().text().trim() },
+    { source: "title", value: $("title").first().text().trim() },
+  ];
+  const rawTitle = titleCandidates.find((candidate) => candidate.value)?.value || null;
+  const title = rawTitle ? rawTitle.replace(/\s+/g, " ").trim() : null;
+
+  // ── Canonical URL ──
+  const canonicalUrl = normalizeUrl(
+    $("link[rel='canonical']").attr("href") || $("meta[property='og:url']").attr("content") || null,
+    url
+  );
 
-  // ── Description ──
-  const rawDesc =
+  // ── Description (HTML brut, mis en forme par formatDescription) ──
+  // JSON-LD Product > microdata > og/meta (souvent tronquées) > premier paragraphe
+  let jsonLdDescription = null;
+  const microdataDescriptionEl = $("[itemprop='description']").first();
+  const microdataDescription = microdataDescriptionEl.length
+    ? microdataDescriptionEl.attr("content") || microdataDescriptionEl.html()
+    : null;
+  const metaDescription =
     $("meta[property='og:description']").attr("content") ||
     $("meta[name='description']").attr("content") ||
     $("meta[name='twitter:description']").attr("content") ||
     $("p").toArray().map((el) => $(el).text().trim()).find((text) => text.length > 60) || null;
-  const description = rawDesc
-    ? rawDesc.replace(/\n{2,}/g, "\n").replace(/[ \t]+/g, " ").trim()
-    : null;
 
   // ── Price ──
   const priceValues = [];
+  const priceSources = [];
+  const originalPriceValues = [];
+  const originalPriceSources = [];
+  const rejectedPrices = [];
   const currencyValues = new Set();
 
-  function pushPriceValue(value) {
+  function pushPriceValue(value, source = null) {
     if (!value) return;
     const normalized = `${value}`.replace(/\s+/g, " ").trim();
     if (!normalized) return;
     // Ignorer les prix unitaires (prix/100ml, prix/kg, etc.)
-    if (isUnitPrice(normalized)) return;
+    if (isUnitPrice(normalized)) {
+      if (explain) rejectedPrices.push({ value: normalized, source, score: null, reason: "unit_price" });
+      return;
+    }
     priceValues.push(normalized);
+    priceSources.push(source);
+  }
+  function pushOriginalPriceValue(value, source = null) {
+    if (!value) return;
+    const normalized = `${value}`.replace(/\s+/g, " ").trim();
+    if (!normalized || isUnitPrice(normalized)) return;
+    originalPriceValues.push(normalized);
+    originalPriceSources.push(source);
   }
   function pushCurrencyValue(value) {
     if (!value) return;
@@ -1092,7 +1743,7 @@ function extractFromHtmlContent(html, url) {
     "meta[itemprop='price']", "meta[property='og:price:amount']", "meta[name='og:price:amount']",
   ];
   for (const selector of priceMetaSelectors) {
-    $(selector).toArray().forEach((element) => pushPriceValue($(element).attr("content")));
+    $(selector).toArray().forEach((element) => pushPriceValue($(element).attr("content"), selector));
   }
 
   const currencyMetaSelectors = [
@@ -1103,43 +1754,185 @@ function extractFromHtmlContent(html, url) {
     $(selector).toArray().forEach((element) => pushCurrencyValue($(element).attr("content")));
   }
 
+  for (const selector of profile.selectors.price) {
+    $(selector).toArray().forEach((element) => {
+      const el = $(element);
+      pushPriceValue(el.attr("content") || el.text(), profileSource);
+    });
+  }
+
   const priceElementSelectors = [
     "[class*='price']", "[id*='price']", "span[itemprop='price']",
     "meta[itemprop='price']", "[data-price]", "[data-price-amount]",
   ];
   $(priceElementSelectors.join(",")).toArray().forEach((element) => {
     const el = $(element);
-    const content = el.attr("content") || el.attr("data-price") || el.attr("data-price-amount") || el.text();
-    pushPriceValue(content);
+    // Les prix barrés sont traités à part (voir ORIGINAL_PRICE_SELECTORS)
+    if (el.closest(ORIGINAL_PRICE_SELECTOR).length) return;
+    const content = el.attr("content") || el.attr("data-price") || el.attr("data-price-amount") ||
+      el.clone().find(ORIGINAL_PRICE_SELECTOR).remove().end().text();
+    pushPriceValue(content, "dom_price");
     const currency = el.attr("data-currency") || el.attr("data-price-currency") || el.attr("data-currency-code") || null;
     pushCurrencyValue(currency);
   });
 
+  // ── Identifiers (JSON-LD > microdata > meta) ──
+  const identifiers = { brand: null, sku: null, gtin: null, mpn: null };
+  const identifierRanks = {};
+  function pushIdentifier(key, value, rank) {
+    if (!value) return;
+    if (identifiers[key] && identifierRanks[key] <= rank) return;
+    identifiers[key] = value;
+    identifierRanks[key] = rank;
+  }
+
+  pushIdentifier("brand", cleanIdentifier(
+    $("meta[property='product:brand']").attr("content") || $("meta[name='product:brand']").attr("content") ||
+    $("meta[property='og:brand']").attr("content")
+  ), IDENTIFIER_RANK.meta);
+  pushIdentifier("sku", cleanIdentifier(
+    $("meta[property='product:retailer_item_id']").attr("content") || $("meta[name='product:retailer_item_id']").attr("content")
+  ), IDENTIFIER_RANK.meta);
+  pushIdentifier("mpn", cleanIdentifier($("meta[property='product:mfr_part_no']").attr("content")), IDENTIFIER_RANK.meta);
+
+  const microdataValue = (selector) => {
+    const el = $(selector).first();
+    if (!el.length) return null;
+    return el.attr("content") || el.find("[itemprop='name']").first().attr("content") ||
+      el.find("[itemprop='name']").first().text() || el.text();
+  };
+  pushIdentifier("brand", cleanIdentifier(microdataValue("[itemprop='brand']")), IDENTIFIER_RANK.microdata);
+  pushIdentifier("sku", cleanIdentifier(microdataValue("[itemprop='sku']")), IDENTIFIER_RANK.microdata);
+  pushIdentifier("mpn", cleanIdentifier(microdataValue("[itemprop='mpn']")), IDENTIFIER_RANK.microdata);
+  $("[itemprop^='gtin']").toArray().forEach((element) => {
+    const el = $(element);
+    pushIdentifier("gtin", normalizeGtin(el.attr("content") || el.text()), IDENTIFIER_RANK.microdata);
+  });
+
+  const pushJsonLdIdentifiers = (node) => {
+    pushIdentifier("brand", readBrandName(node.brand || node.manufacturer), IDENTIFIER_RANK.jsonld);
+    pushIdentifier("sku", cleanIdentifier(node.sku), IDENTIFIER_RANK.jsonld);
+    pushIdentifier("gtin", readGtinFromNode(node), IDENTIFIER_RANK.jsonld);
+    pushIdentifier("mpn", cleanIdentifier(node.mpn), IDENTIFIER_RANK.jsonld);
+  };
+
+  // ── Rating (JSON-LD > microdata > widgets) ──
+  let jsonLdRating = null;
+  const readJsonLdRating = (node) => {
+    const aggregate = toArray(node?.aggregateRating)[0];
+    if (jsonLdRating || !aggregate || typeof aggregate !== "object") return;
+    jsonLdRating = normalizeRating({
+      ratingValue: aggregate.ratingValue,
+      bestRating: aggregate.bestRating,
+      worstRating: aggregate.worstRating,
+      count: aggregate.reviewCount ?? aggregate.ratingCount,
+      source: "jsonld",
+    });
+  };
+
+  const microdataRating = (() => {
+    const scope = $("[itemprop='aggregateRating']").first();
+    if (!scope.length) return null;
+    const read = (prop) => {
+      const el = scope.find(`[itemprop='${prop}']`).first();
+      return el.length ? el.attr("content") || el.text() : null;
+    };
+    return normalizeRating({
+      ratingValue: read("ratingValue"),
+      bestRating: read("bestRating"),
+      worstRating: read("worstRating"),
+      count: read("reviewCount") || read("ratingCount"),
+      source: "microdata",
+    });
+  })();
+
+  const widgetRating = (() => {
+    for (const widget of RATING_WIDGETS) {
+      const el = $(widget.selector).first();
+      if (!el.length) continue;
+      const rating = normalizeRating({ ratingValue: widget.value(el), count: widget.count(el), source: widget.source });
+      if (rating) return rating;
+    }
+    return null;
+  })();
+
+  // ── Breadcrumbs (JSON-LD > microdata > DOM) ──
+  let jsonLdBreadcrumbs = [];
+  const microdataBreadcrumbs = $("[itemtype*='BreadcrumbList'] [itemprop='itemListElement']").toArray().map((element) => {
+    const el = $(element);
+    const nameEl = el.find("[itemprop='name']").first();
+    const itemEl = el.find("[itemprop='item']").first();
+    return buildCategoryEntry(
+      nameEl.attr("content") || nameEl.text() || itemEl.text(),
+      itemEl.attr("href") || itemEl.attr("content") || itemEl.attr("itemid"),
+      url
+    );
+  });
+  const domBreadcrumbs = (() => {
+    for (const selector of BREADCRUMB_DOM_SELECTORS) {
+      const container = $(selector).first();
+      if (!container.length) continue;
+      const items = container.find("li").length ? container.find("li").toArray() : container.find("a").toArray();
+      const entries = items.map((element) => {
+        const el = $(element);
+        const link = el.is("a") ? el : el.find("a").first();
+        return buildCategoryEntry(el.text(), link.attr("href"), url);
+      }).filter(Boolean);
+      if (entries.length) return entries;
+    }
+    return [];
+  })();
+
+  // ── Availability ──
+  const availabilityValues = [];
+  const offerAvailability = [];
+  const jsonLdVariants = [];
+  const scriptVariants = [];
+  $("[itemprop='availability']").toArray().forEach((element) => {
+    const el = $(element);
+    availabilityValues.push(normalizeAvailability(el.attr("href") || el.attr("content") || el.text()));
+  });
+
+  $(ORIGINAL_PRICE_SELECTOR).toArray().forEach((element) => {
+    const el = $(element);
+    const content = el.attr("data-compare-price") || el.attr("data-price-amount") || el.attr("content") || el.text();
+    pushOriginalPriceValue(content, "dom_original_price");
+  });
+
   // ── Images ──────────────────────────────────────────────────────────────────
   const imageCandidates = [];
+  const rejectedImages = [];
+
+  function rejectImage(imageUrl, source, reason) {
+    if (explain && imageUrl) rejectedImages.push({ url: imageUrl, source, score: null, reason });
+  }
 
-  function addCandidate(rawUrl, sourcePriority = SOURCE_PRIORITY.fallback) {
+  function addCandidate(rawUrl, sourcePriority = SOURCE_PRIORITY.fallback, source = null) {
     if (!rawUrl) return;
     const normalized = normalizeUrl(rawUrl, url);
     if (!normalized) return;
-    if (!isValidImageUrl(normalized)) return;
-    const score = computeImagePriorityScore(normalized, sourcePriority);
-    imageCandidates.push({ url: normalized, score });
+    const rejection = imageUrlRejection(normalized, profile);
+    if (rejection) {
+      rejectImage(normalized, source, rejection);
+      return;
+    }
+    const score = computeImagePriorityScore(normalized, sourcePriority, profile);
+    imageCandidates.push({ url: normalized, score, source });
   }
 
-  // ✅ PATCH: Sephora — extraire les images depuis les <link rel="preload"> dans le head
+  // Profil : images depuis les <link rel="preload"> du head (ex. Sephora)
   // fetchPriority="high" = image principale affichée en premier dans le carrousel
-  $("link[rel='preload'][as='image']").toArray().forEach((element) => {
-    const href = $(element).attr("href");
-    if (!href || !/media\.sephora\.eu.*\/pim\/published/i.test(href)) return;
-    const fetchPriority = $(element).attr("fetchpriority") || $(element).attr("fetchPriority") || "";
-    const isMainImage = fetchPriority.toLowerCase() === "high";
-    // Image principale (fetchPriority="high") → score maximal → sera images[0]
-    const priority = isMainImage
-      ? SOURCE_PRIORITY.jsonld_product + 5000
-      : SOURCE_PRIORITY.jsonld_product + 1000;
-    addCandidate(href, priority);
-  });
+  const preload = profile.images.preload;
+  if (preload) {
+    $("link[rel='preload'][as='image']").toArray().forEach((element) => {
+      const href = $(element).attr("href");
+      if (!href || !preload.pattern.test(href)) return;
+      const fetchPriority = $(element).attr("fetchpriority") || $(element).attr("fetchPriority") || "";
+      // Image principale (fetchPriority="high") → score maximal → sera images[0]
+      const priority = fetchPriority.toLowerCase() === "high" ? preload.highPriorityScore : preload.score;
+      addCandidate(href, priority, "preload_image");
+    });
+  }
 
   // PRIORITY 1: JSON-LD structured data
   $("script[type='application/ld+json']").toArray().forEach((element) => {
@@ -1148,51 +1941,81 @@ function extractFromHtmlContent(html, url) {
     try {
       const json = JSON.parse(text);
       const nodes = Array.isArray(json) ? json : [json];
-      const toArray = (value) => (Array.isArray(value) ? value : value ? [value] : []);
       const hasType = (node, typeName) => {
         const types = toArray(node?.["@type"]).map((item) => `${item}`.toLowerCase());
         return types.includes(`${typeName}`.toLowerCase());
       };
 
-      const processImageValue = (imageValue, priority) => {
+      const processImageValue = (imageValue, priority, source) => {
         if (!imageValue) return;
         if (typeof imageValue === "string") {
-          addCandidate(imageValue, priority);
+          addCandidate(imageValue, priority, source);
           return;
         }
         if (typeof imageValue === "object") {
           const imageUrl = imageValue.url || imageValue.contentUrl || imageValue.image || imageValue.thumbnailUrl || imageValue['@id'];
-          if (imageUrl) addCandidate(imageUrl, priority);
+          if (imageUrl) addCandidate(imageUrl, priority, source);
         }
       };
 
       nodes.forEach((node) => {
         if (!node || typeof node !== "object") return;
 
-        if (node.price) pushPriceValue(node.price);
+        if (node.price) pushPriceValue(node.price, "jsonld");
         if (node.priceCurrency) pushCurrencyValue(node.priceCurrency);
 
+        if (node.hasVariant) jsonLdVariants.push(...extractJsonLdVariants(node, url, Array.from(currencyValues)));
+
         toArray(node["@graph"]).forEach((graphNode) => {
           if (!graphNode || typeof graphNode !== "object") return;
+          if (graphNode.hasVariant) jsonLdVariants.push(...extractJsonLdVariants(graphNode, url, Array.from(currencyValues)));
           if (hasType(graphNode, "Product")) {
-            toArray(graphNode.image).forEach((img) => processImageValue(img, SOURCE_PRIORITY.jsonld_product));
+            pushJsonLdIdentifiers(graphNode);
+            readJsonLdRating(graphNode);
+            toArray(graphNode.image).forEach((img) => processImageValue(img, SOURCE_PRIORITY.jsonld_product, "jsonld_product"));
+          }
+        });
+
+        if (hasType(node, "BreadcrumbList") && !jsonLdBreadcrumbs.length) {
+          jsonLdBreadcrumbs = extractJsonLdBreadcrumbs(node, url);
+        }
+        toArray(node["@graph"]).forEach((graphNode) => {
+          if (hasType(graphNode, "BreadcrumbList") && !jsonLdBreadcrumbs.length) {
+            jsonLdBreadcrumbs = extractJsonLdBreadcrumbs(graphNode, url);
           }
         });
 
+        if (hasType(node, "Product") || hasType(node, "ProductGroup")) {
+          if (!jsonLdDescription && typeof node.description === "string" && node.description.trim()) {
+            jsonLdDescription = node.description;
+          }
+          pushJsonLdIdentifiers(node);
+          readJsonLdRating(node);
+        }
+
         if (hasType(node, "Product")) {
-          toArray(node.image).forEach((img) => processImageValue(img, SOURCE_PRIORITY.jsonld_product));
+          toArray(node.image).forEach((img) => processImageValue(img, SOURCE_PRIORITY.jsonld_product, "jsonld_product"));
         } else {
           const imageField = node.image || node.images || node.photo || node.thumbnailUrl;
-          toArray(imageField).forEach((img) => processImageValue(img, SOURCE_PRIORITY.itemprop_image));
+          toArray(imageField).forEach((img) => processImageValue(img, SOURCE_PRIORITY.itemprop_image, "jsonld_image"));
         }
 
         [...toArray(node.offers), ...toArray(node.aggregateOffer)].forEach((offer) => {
           if (!offer || typeof offer !== "object") return;
-          if (offer.price) pushPriceValue(offer.price);
+          if (offer.price) pushPriceValue(offer.price, "jsonld_offer");
           if (offer.priceCurrency) pushCurrencyValue(offer.priceCurrency);
+          if (offer.availability) {
+            const status = normalizeAvailability(offer.availability);
+            availabilityValues.push(status);
+            if (offer.sku || offer.name) {
+              offerAvailability.push({ id: null, title: offer.name || null, sku: offer.sku || null, availability: status });
+            }
+          }
           toArray(offer.priceSpecification).forEach((spec) => {
             if (!spec || typeof spec !== "object") return;
-            if (spec.price) pushPriceValue(spec.price);
+            if (LIST_PRICE_TYPE_PATTERN.test(`${spec.priceType || ""}`)) {
+              if (spec.price) pushOriginalPriceValue(spec.price, "jsonld_list_price");
+            } else if (spec.price) pushPriceValue(spec.price, "jsonld_price_specification");
             if (spec.priceCurrency) pushCurrencyValue(spec.priceCurrency);
           });
         });
@@ -1202,37 +2025,51 @@ function extractFromHtmlContent(html, url) {
     }
   });
 
+  // Réponses XHR/fetch JSON : prix, identifiants et galerie chargés après le HTML
+  if (networkProduct) {
+    pushPriceValue(networkProduct.price, "network_json");
+    pushOriginalPriceValue(networkProduct.originalPrice, "network_json");
+    pushCurrencyValue(networkProduct.currency);
+    pushIdentifier("brand", cleanIdentifier(networkProduct.brand), IDENTIFIER_RANK.network);
+    pushIdentifier("sku", cleanIdentifier(networkProduct.sku), IDENTIFIER_RANK.network);
+    pushIdentifier("gtin", normalizeGtin(networkProduct.gtin), IDENTIFIER_RANK.network);
+    networkProduct.images.forEach((image) => addCandidate(image, SOURCE_PRIORITY.itemprop_image, "network_json"));
+  }
+
   // PRIORITY 2: og:image
   const ogImage = $("meta[property='og:image']").attr("content") ||
     $("meta[property='og:image:url']").attr("content");
-  if (ogImage) addCandidate(ogImage, SOURCE_PRIORITY.og_image);
+  if (ogImage) addCandidate(ogImage, SOURCE_PRIORITY.og_image, "og_image");
 
   // PRIORITY 3: twitter:image
   const twitterImage = $("meta[name='twitter:image']").attr("content") ||
     $("meta[name='twitter:image:src']").attr("content");
-  if (twitterImage) addCandidate(twitterImage, SOURCE_PRIORITY.twitter_image);
+  if (twitterImage) addCandidate(twitterImage, SOURCE_PRIORITY.twitter_image, "twitter_image");
 
   // PRIORITY 4: link[rel='image_src']
   const linkImage = $("link[rel='image_src']").attr("href");
-  if (linkImage) addCandidate(linkImage, SOURCE_PRIORITY.twitter_image);
+  if (linkImage) addCandidate(linkImage, SOURCE_PRIORITY.twitter_image, "link_image_src");
 
   // PRIORITY 5: itemprop="image"
   $("[itemprop='image']").toArray().forEach((element) => {
     const src = $(element).attr("content") || $(element).attr("src");
-    if (src) addCandidate(src, SOURCE_PRIORITY.itemprop_image);
+    if (src) addCandidate(src, SOURCE_PRIORITY.itemprop_image, "itemprop_image");
   });
 
   // PRIORITY 6: DOM images
   $("img").toArray().forEach((element) => {
     const el = $(element);
-    if (el.hasClass("js-megamenu-image")) return;
+    if (hasExcludedImageClass(profile, el)) return;
     const src = el.attr("src") || el.attr("data-src") || el.attr("data-lazy-src") || el.attr("data-original");
     if (src) {
       const normalized = normalizeUrl(src, url);
-      if (normalized && isValidImageUrl(normalized)) {
+      const rejection = normalized ? imageUrlRejection(normalized, profile) : null;
+      if (normalized && !rejection) {
         const isStrong = STRONG_PRODUCT_URL_PATTERNS.some((p) => p.test(normalized));
         const priority = isStrong ? SOURCE_PRIORITY.dom_strong : SOURCE_PRIORITY.dom_weak;
-        addCandidate(src, priority);
+        addCandidate(src, priority, isStrong ? "dom_strong" : "dom_weak");
+      } else if (normalized) {
+        rejectImage(normalized, "dom_img", rejection);
       }
     }
 
@@ -1240,7 +2077,7 @@ function extractFromHtmlContent(html, url) {
     for (const srcset of srcsetValues) {
       extractSrcsetCandidates(srcset).forEach((candidate) => {
         const isStrong = STRONG_PRODUCT_URL_PATTERNS.some((p) => p.test(candidate.url || ""));
-        addCandidate(candidate.url, isStrong ? SOURCE_PRIORITY.dom_strong : SOURCE_PRIORITY.dom_weak);
+        addCandidate(candidate.url, isStrong ? SOURCE_PRIORITY.dom_strong : SOURCE_PRIORITY.dom_weak, "dom_srcset");
       });
     }
   });
@@ -1248,11 +2085,11 @@ function extractFromHtmlContent(html, url) {
   // source elements (picture)
   $("source").toArray().forEach((element) => {
     const el = $(element);
-    if (el.hasClass("js-megamenu-image")) return;
+    if (hasExcludedImageClass(profile, el)) return;
     const srcsetValues = [el.attr("srcset"), el.attr("data-srcset"), el.attr("data-src")].filter(Boolean);
     for (const srcset of srcsetValues) {
       extractSrcsetCandidates(srcset).forEach((candidate) => {
-        addCandidate(candidate.url, SOURCE_PRIORITY.dom_weak);
+        addCandidate(candidate.url, SOURCE_PRIORITY.dom_weak, "picture_source");
       });
     }
   });
@@ -1264,21 +2101,28 @@ function extractFromHtmlContent(html, url) {
     const type = $(element).attr("type") || "";
     if (type === "application/ld+json") return;
 
-    if (scriptContent.includes("Shopify") || scriptContent.includes("shopify")) {
+    const isShopifyScript = scriptContent.includes("Shopify") || scriptContent.includes("shopify");
+    if (!scriptVariants.length && scriptContent.includes('"variants"')) {
+      scriptVariants.push(...extractEmbeddedVariants(scriptContent, {
+        baseUrl: url,
+        currencyHints: Array.from(currencyValues),
+      }));
+    }
+
+    if (isShopifyScript) {
       const shopifyPricePattern = /"price"\s*:\s*(\d+(?:\.\d+)?)/g;
       let priceMatch;
       while ((priceMatch = shopifyPricePattern.exec(scriptContent)) !== null) {
         const rawVal = priceMatch[1];
-        if (rawVal) pushPriceValue(rawVal);
+        if (rawVal) pushPriceValue(rawVal, "script_shopify");
       }
     }
 
-    // ✅ PATCH: Sephora — extraire prix depuis JSON embarqué Next.js (__next_f)
-    if (scriptContent.includes("sephora") || scriptContent.includes("Sephora")) {
-      const sephoraPricePattern = /"price"\s*:\s*([\d.]+)/g;
-      let m;
-      while ((m = sephoraPricePattern.exec(scriptContent)) !== null) {
-        if (m[1]) pushPriceValue(m[1] + " EUR");
+    // Profil : prix dans du JSON embarqué (ex. Sephora Next.js __next_f)
+    for (const priceScript of profile.priceScripts) {
+      if (priceScript.contains.length && !priceScript.contains.some((needle) => scriptContent.includes(needle))) continue;
+      for (const m of scriptContent.matchAll(priceScript.pattern)) {
+        if (m[1]) pushPriceValue(priceScript.currency ? `${m[1]} ${priceScript.currency}` : m[1], profileSource);
       }
     }
 
@@ -1289,12 +2133,17 @@ function extractFromHtmlContent(html, url) {
       if (!rawUrl) continue;
       const normalized = normalizeUrl(rawUrl, url);
       if (!normalized) continue;
-      if (!isValidImageUrl(normalized)) continue;
+      const rejection = imageUrlRejection(normalized, profile);
+      if (rejection) {
+        rejectImage(normalized, "script_json", rejection);
+        continue;
+      }
 
       const isStrong = STRONG_PRODUCT_URL_PATTERNS.some((p) => p.test(normalized));
-      const isSephoraPim = /media\.sephora\.eu.*\/pim\/published/i.test(normalized);
-      const isMarketing = !isSephoraPim && MARKETING_URL_PATTERNS.some((p) => p.test(normalized));
-      if (isMarketing) continue;
+      if (isMarketingImage(normalized, profile)) {
+        rejectImage(normalized, "script_json", "marketing_pattern");
+        continue;
+      }
 
       const scriptId = $(element).attr("id") || "";
       const isNextData = scriptId === "__NEXT_DATA__" || scriptContent.includes("__NEXT_DATA__");
@@ -1308,12 +2157,13 @@ function extractFromHtmlContent(html, url) {
         priority = isStrong ? SOURCE_PRIORITY.dom_strong : SOURCE_PRIORITY.dom_weak;
       }
 
-      addCandidate(normalized, priority);
+      addCandidate(normalized, priority, "script_json");
     }
   });
 
   // ── GALERIE ORDONNÉE ─────────────────────────────────────────────────────────
-  const orderedGallery = extractOrderedGallery($, url);
+  const gallery = extractOrderedGallery($, url, profile);
+  const orderedGallery = gallery.images;
 
   let finalImages;
   if (orderedGallery.length >= 2) {
@@ -1327,22 +2177,72 @@ function extractFromHtmlContent(html, url) {
 
   // ── Final price ──
   const currencyHintList = Array.from(currencyValues);
-  const price = findPriceInTexts(priceValues, currencyHintList) ||
-    (priceValues.length && currencyHintList.length
-      ? combinePriceWithCurrency(priceValues.map((v) => v.match(/\d[\d.,]*/)?.[0] || null).find(Boolean), currencyHintList[0])
-      : null);
+  const bestPrice = pickPriceCandidate(priceValues, currencyHintList);
+  let rawPrice = bestPrice?.value || null;
+  let priceSource = bestPrice ? priceSources[bestPrice.index] ?? null : null;
+  if (!rawPrice && priceValues.length && currencyHintList.length) {
+    const fallbackIndex = priceValues.findIndex((v) => /\d[\d.,]*/.test(v));
+    if (fallbackIndex >= 0) {
+      rawPrice = combinePriceWithCurrency(priceValues[fallbackIndex].match(/\d[\d.,]*/)[0], currencyHintList[0]);
+      priceSource = priceSources[fallbackIndex] ?? null;
+    }
+  }
 
-  const normalizedPrice = normalizePriceOutput(price, currencyHintList);
+  const localeCurrency = detectCurrencyFromShopifyLocale(url);
+  const price = buildPriceObject(rawPrice, {
+    currencyHints: currencyHintList,
+    source: priceSource,
+    fallbackCurrency: localeCurrency,
+  });
 
-  return {
-    title,
+  const bestOriginalPrice = pickPriceCandidate(originalPriceValues, currencyHintList);
+  const originalPrice = bestOriginalPrice
+    ? buildPriceObject(bestOriginalPrice.value, {
+      currencyHints: currencyHintList,
+      source: originalPriceSources[bestOriginalPrice.index] ?? null,
+      fallbackCurrency: localeCurrency,
+    })
+    : null;
+
+  const variants = dedupeVariants(jsonLdVariants.length ? jsonLdVariants : scriptVariants);
+  const variantAvailability = offerAvailability.length > 1 ? offerAvailability : toVariantAvailability(variants);
+
+  const descriptionCandidates = [
+    { source: "jsonld_product", value: jsonLdDescription },
+    { source: "itemprop_description", value: microdataDescription },
+    { source: "meta_description", value: metaDescription },
+  ];
+  const description = descriptionCandidates.find((candidate) => candidate.value && `${candidate.value}`.trim())?.value || null;
+
+  return {
+    title,
     description,
-    price: normalizedPrice && `${normalizedPrice}`.trim() ? normalizedPrice : null,
+    ...resolvePriceFields(price, originalPrice),
+    availability: aggregateAvailability([...availabilityValues, ...variantAvailability.map((v) => v.availability)]),
+    variantAvailability,
+    variants,
+    ...identifiers,
+    rating: jsonLdRating || microdataRating || widgetRating,
+    categoryPath: cleanCategoryPath(
+      [jsonLdBreadcrumbs, microdataBreadcrumbs, domBreadcrumbs].find((list) => list.some(Boolean)) || [],
+      title
+    ),
     images: finalImages,
+    canonicalUrl,
+    ...(explain
+      ? {
+        explain: {
+          title: buildFieldExplanation(titleCandidates),
+          description: buildFieldExplanation(descriptionCandidates),
+          price: buildPriceExplanation({ priceValues, priceSources, rejectedPrices, currencyHints: currencyHintList }),
+          images: buildImagesExplanation({ finalImages, imageCandidates, rejectedImages, gallery, profile }),
+        },
+      }
+      : {}),
   };
 }
 
-function isValidResult(result) {
+function isValidResult(result, profile = EMPTY_SITE_PROFILE) {
   if (!result || !result.title) return false;
   if (!Array.isArray(result.images) || result.images.length === 0) return false;
   const hasValidImage = result.images.some((img) => {
@@ -1358,11 +2258,9 @@ function isValidResult(result) {
       /ctfassets\.net/i.test(url) ||
       /cloudinary\.com/i.test(url) ||
       /imgix\.net/i.test(url) ||
-      /paulaschoice-eu\.com/i.test(url) ||
-      /media\.sephora\.eu/i.test(url); // ✅ PATCH
+      looksLikeProfileImage(profile, url);
     if (!looksLikeImage) return false;
-    const isSephoraPim = /media\.sephora\.eu.*\/pim\/published/i.test(url);
-    return isSephoraPim || !MARKETING_URL_PATTERNS.some((p) => p.test(url));
+    return !isMarketingImage(url, profile);
   });
   return hasValidImage;
 }
@@ -1407,13 +2305,54 @@ function isAllowedScrapeUrl(rawUrl) {
   }
 }
 
-async function runStageWithHardTimeout(stageName, timeoutMs, stageFn) {
-  const timeoutResult = new Promise((resolve) => {
-    setTimeout(() => {
-      resolve({ ok: false, stage: stageName, error: `${stageName} hard timeout after ${timeoutMs}ms` });
-    }, timeoutMs);
+function createAbortReason(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// Relie un AbortController au signal parent ; renvoie la fonction qui défait le lien
+function linkAbortSignal(parentSignal, controller) {
+  if (!parentSignal) return () => {};
+  if (parentSignal.aborted) {
+    controller.abort(parentSignal.reason);
+    return () => {};
+  }
+  const onAbort = () => controller.abort(parentSignal.reason);
+  parentSignal.addEventListener("abort", onAbort, { once: true });
+  return () => parentSignal.removeEventListener("abort", onAbort);
+}
+
+// Deadline globale (timeoutMs) : poids d'un stage sans timeout configuré, et budget minimal d'un stage
+const DEADLINE_STAGE_WEIGHT_MS = 15000;
+const MIN_STAGE_BUDGET_MS = 1000;
+
+// stageFn reçoit un signal annulé au timeout du stage ou quand le parent l'est
+// (client parti, deadline de la requête) : le stage ferme alors sa page / sa requête.
+// On n'attend pas la fin du nettoyage pour rendre la main.
+// Renvoie { result, settled } : result se résout dès l'annulation (le pipeline
+// continue), settled quand stageFn a vraiment fini (page, contexte, navigateur
+// fermés) ; c'est settled qui libère la place de l'ordonnanceur.
+function runStageWithHardTimeout(stageName, timeoutMs, stageFn, parentSignal = null) {
+  const controller = new AbortController();
+  const unlink = linkAbortSignal(parentSignal, controller);
+  let onAbort = null;
+  const abortedResult = new Promise((resolve) => {
+    onAbort = () => resolve({ ok: false, stage: stageName, error: controller.signal.reason?.message || `${stageName} aborted` });
+    if (controller.signal.aborted) onAbort();
+    else controller.signal.addEventListener("abort", onAbort, { once: true });
+  });
+  const timer = timeoutMs
+    ? setTimeout(() => {
+      controller.abort(createAbortReason("STAGE_TIMEOUT", `${stageName} hard timeout after ${timeoutMs}ms`));
+    }, timeoutMs)
+    : null;
+  const running = controller.signal.aborted ? Promise.resolve(null) : Promise.resolve().then(() => stageFn(controller.signal));
+  const settled = running.catch(() => null).finally(() => {
+    clearTimeout(timer);
+    unlink();
+    controller.signal.removeEventListener("abort", onAbort);
   });
-  return Promise.race([stageFn(), timeoutResult]);
+  const result = controller.signal.aborted ? abortedResult : Promise.race([running, abortedResult]);
+  return { result, settled };
 }
 
 function decodeHtmlEntities(value) {
@@ -1426,14 +2365,36 @@ function buildSuccessPayload(data, meta) {
   return {
     ok: true,
     title: decodeHtmlEntities(data.title) || null,
-    description: stripHtml(decodeHtmlEntities(data.description)) || null,
+    description: data.description || null,
     price: data.price || null,
+    originalPrice: data.originalPrice || null,
+    discountPercent: data.discountPercent ?? null,
+    availability: data.availability || "unknown",
+    variantAvailability: data.variantAvailability || [],
+    variants: data.variants || [],
+    brand: data.brand || null,
+    sku: data.sku || null,
+    gtin: data.gtin || null,
+    mpn: data.mpn || null,
+    rating: data.rating || null,
+    categoryPath: data.categoryPath || [],
     images: imageObjects,
+    canonicalUrl: data.canonicalUrl || null,
+    finalUrl: data.finalUrl || null,
+    ...(data.explain ? { explain: data.explain } : {}),
     meta,
   };
 }
 
-async function runStage1(url) {
+// Extraction incomplète (isValidResult échoue) : gardée pour la fusion entre stages
+function buildPartialPayload(data, meta) {
+  const hasProductField = MERGEABLE_FIELDS
+    .some((field) => field !== "finalUrl" && field !== "canonicalUrl" && !isEmptyField(field, data?.[field]));
+  if (!hasProductField) return null;
+  return { ...buildSuccessPayload(data, meta), ok: false };
+}
+
+async function runStage1(url, { explain = false, dumpNetwork = false, signal = null } = {}) {
   if (process.env.DISABLE_STAGE1 === "true") {
     return { ok: false, stage: "stage1", error: "Stage1 disabled" };
   }
@@ -1443,18 +2404,39 @@ async function runStage1(url) {
   let pageSetup = null;
   let lastError = null;
   let lastErrorMessage = null;
+  let partial = null;
   let usingSharedBrowser = false;
+  // Proxy du pool : contexte dédié (proxyServer) sur le navigateur partagé,
+  // --proxy-server si un navigateur est lancé pour cette page
+  const hostname = hostnameOf(url);
+  const proxy = proxyPool.acquire(hostname);
+  const session = await sessionStore.open(url);
+  let context = null;
+  let networkCapture = null;
+  // dumpNetwork=1 : réponses JSON capturées renvoyées dans diagnostics.network, même en échec
+  const withDiagnostics = (result) => (dumpNetwork ? { ...result, diagnostics: { network: networkCapture?.dump() ?? [] } } : result);
+  // Annulation : fermer la page fait échouer la navigation en cours
+  const onAbort = () => {
+    if (page) page.close().catch(() => {});
+    if (context) context.close().catch(() => {});
+    if (browser && !usingSharedBrowser) browser.close().catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
   try {
     try {
       browser = await acquireSharedBrowser();
       usingSharedBrowser = true;
     } catch {
-      browser = await puppeteer.launch(createBrowserLaunchOptions());
+      browser = await puppeteer.launch(createBrowserLaunchOptions(undefined, proxy));
       usingSharedBrowser = false;
     }
     if (!browser) throw new Error("Browser launch failed");
-    page = await browser.newPage();
-    pageSetup = await configurePage(page, url);
+    if (proxy && usingSharedBrowser) context = await browser.createBrowserContext({ proxyServer: proxy.server });
+    page = await (context || browser).newPage();
+    if (signal?.aborted) throw signal.reason;
+    if (proxy?.username) await page.authenticate({ username: proxy.username, password: proxy.password });
+    pageSetup = await configurePage(page, url, undefined, session);
+    networkCapture = createNetworkCapture(page);
     const { userAgent } = pageSetup;
     const navigationStart = performance.now();
     let navigationMeta = null;
@@ -1469,27 +2451,54 @@ async function runStage1(url) {
     const navigationDurationSeconds = navigationMeta?.durationSeconds ?? navigationError?.navigationDurationSeconds ?? roundDuration((performance.now() - navigationStart) / 1000);
     const navigationWaitUntil = navigationMeta?.waitUntil ?? navigationError?.navigationWaitUntil ?? null;
     const navigationTimedOut = (navigationMeta && navigationMeta.navigationTimedOut) || Boolean(navigationError?.navigationTimedOut);
+    const navigationStatus = navigationMeta?.status ?? null;
     await delay(randomBetween(...HUMAN_DELAY_RANGE));
+    const consent = await consentHandler.dismiss(page, { signal });
     const html = await page.content();
-    const extracted = extractFromHtmlContent(html, url);
-    if (isValidResult(extracted)) {
-      const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
-      return buildSuccessPayload(extracted, {
-        stage: "stage1", blocked: false, fallbackUsed: false, durationSeconds,
-        network: { durationSeconds }, userAgent, navigationWaitUntil, navigationTimedOut,
-      });
+    const finalUrl = page.url() || url;
+    await networkCapture.settle();
+    networkCapture.stop();
+    const cookies = await page.cookies().catch(() => []);
+    session?.storeBrowserCookies(cookies);
+    const antiBot = detectAntiBot({ status: navigationStatus, headers: navigationMeta?.headers, cookies, html });
+    if (PROXY_FAILURE_STATUSES.has(navigationStatus)) proxyPool.reportFailure(proxy, `status_${navigationStatus}`, hostname);
+    else if (antiBot.blocked) proxyPool.reportFailure(proxy, "anti_bot", hostname);
+    else if (navigationError && !navigationTimedOut) proxyPool.reportFailure(proxy, "network", hostname);
+    else if (navigationMeta) proxyPool.reportSuccess(proxy);
+    // Page de challenge : rien à extraire, on passe au stage suivant
+    if (antiBot.blocked) {
+      return withDiagnostics({ ok: false, stage: "stage1", status: "blocked", error: describeAntiBotBlock("Stage1", antiBot), antiBot: summarizeAntiBot(antiBot) });
+    }
+    const networkProduct = pickNetworkProduct(networkCapture.productCandidates(), finalUrl);
+    const extracted = extractFromHtmlContent(html, finalUrl, { explain, networkProduct });
+    const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
+    const meta = {
+      stage: "stage1", blocked: false, fallbackUsed: false, durationSeconds,
+      network: { durationSeconds, ...networkCapture.summary(), productSource: networkProduct?.responseUrl ?? null },
+      userAgent, navigationWaitUntil, navigationTimedOut,
+      proxy: proxy?.label ?? null, antiBot: summarizeAntiBot(antiBot),
+      session: session ? { domain: session.key, cookiesSent: pageSetup.sessionCookies, cookiesStored: cookies.length } : null,
+      consent,
+    };
+    if (isValidResult(extracted, resolveSiteProfile(finalUrl))) {
+      return withDiagnostics(buildSuccessPayload({ ...extracted, finalUrl }, meta));
     }
+    partial = buildPartialPayload({ ...extracted, finalUrl }, meta);
     if (!lastErrorMessage) lastErrorMessage = "Stage1 produced no valid result";
     if (navigationError) throw navigationError;
   } catch (err) {
-    lastError = err;
-    lastErrorMessage = err?.message || lastErrorMessage || "Stage1 failed";
+    lastError = signal?.aborted ? signal.reason : err;
+    lastErrorMessage = lastError?.message || lastErrorMessage || "Stage1 failed";
   } finally {
+    signal?.removeEventListener("abort", onAbort);
+    networkCapture?.stop();
+    await session?.save();
     if (page) await page.close().catch(() => {});
+    if (context) await context.close().catch(() => {});
     if (browser && !usingSharedBrowser) await browser.close().catch(() => {});
     if (usingSharedBrowser && browser && !browser.isConnected?.()) sharedBrowserPromise = null;
   }
-  return { ok: false, stage: "stage1", error: lastErrorMessage || lastError?.message || "Stage1 failed" };
+  return withDiagnostics({ ok: false, stage: "stage1", error: lastErrorMessage || lastError?.message || "Stage1 failed", partial });
 }
 
 // ─── STAGE 0 : fetch HTTP simple (gratuit, ~1-2s) ───────────────────────────
@@ -1511,8 +2520,9 @@ function pickCrawlerUserAgent() {
   return CRAWLER_USER_AGENTS[Math.floor(Math.random() * CRAWLER_USER_AGENTS.length)];
 }
 
-async function runStage0(url) {
+async function runStage0(url, { explain = false, signal = null } = {}) {
   const stageStart = performance.now();
+  let partial = null;
 
   // Tentative 1 & 2 : User-Agent crawler puis browser (sans proxy)
   const attemptsConfig = [
@@ -1520,26 +2530,27 @@ async function runStage0(url) {
     { ua: pickUserAgent(), label: "browser", useProxy: false },
   ];
 
-  // Tentative 3 : proxy BrightData HTTP résidentiel (si configuré)
+  // Tentatives 3 & 4 : proxies résidentiels du pool (si configuré), un par tentative
   // Permet de bypasser Akamai sur les sites qui bloquent les IPs datacenter
-  const proxyUser = process.env.SCRAPER_PROXY_POOL
-    ? (() => {
-        try {
-          const u = new URL(process.env.SCRAPER_PROXY_POOL);
-          return { host: u.hostname, port: parseInt(u.port) || 22225, username: u.username, password: u.password };
-        } catch { return null; }
-      })()
-    : null;
-
-  if (proxyUser) {
+  if (proxyPool.enabled) {
     attemptsConfig.push({ ua: pickCrawlerUserAgent(), label: "proxy_crawler", useProxy: true });
     attemptsConfig.push({ ua: pickUserAgent(), label: "proxy_browser", useProxy: true });
   }
+  const hostname = hostnameOf(url);
+  const session = await sessionStore.open(url);
+  let lastAntiBot = null;
+  let directBlocked = false;
 
   for (const { ua, label, useProxy } of attemptsConfig) {
+    if (signal?.aborted) break;
+    // Challenge anti-bot sans proxy : changer d'UA n'y fera rien, on passe aux proxies
+    if (!useProxy && directBlocked) continue;
+    const proxy = useProxy ? proxyPool.acquire(hostname) : null;
+    if (useProxy && !proxy) continue;
     try {
       const axiosConfig = {
         timeout: 10000,
+        signal,
         responseType: "text",
         headers: {
           "User-Agent": ua,
@@ -1551,48 +2562,74 @@ async function runStage0(url) {
         maxRedirects: 5,
       };
 
-      if (useProxy && proxyUser) {
-        axiosConfig.proxy = {
-          host: proxyUser.host,
-          port: proxyUser.port,
-          auth: { username: proxyUser.username, password: proxyUser.password },
-          protocol: "http",
-        };
-      }
+      if (proxy) Object.assign(axiosConfig, { proxy: false, ...proxyPool.agentsFor(proxy) });
+      applySessionCookies(axiosConfig, session, url);
 
       const response = await axios.get(url, axiosConfig);
+      storeResponseCookies(session, url, response);
 
       const html = response.data;
+      const antiBot = detectAntiBot({ status: response.status, headers: response.headers, html });
+      if (antiBot.blocked) {
+        lastAntiBot = antiBot;
+        if (!useProxy) directBlocked = true;
+        proxyPool.reportFailure(proxy, "anti_bot", hostname);
+        continue;
+      }
       if (!html || html.length < 1000) continue;
-      if (/<title>.*?access denied.*?<\/title>/i.test(html) || /blocked/i.test(html.substring(0, 500))) continue;
-
-      const extracted = extractFromHtmlContent(html, url);
-      if (!isValidResult(extracted)) continue;
+      proxyPool.reportSuccess(proxy);
 
+      // follow-redirects expose l'URL après redirections
+      const finalUrl = response.request?.res?.responseUrl || url;
+      const extracted = extractFromHtmlContent(html, finalUrl, { explain });
       const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
-      return buildSuccessPayload(extracted, {
+      const meta = {
         stage: "stage0", fallbackUsed: useProxy, blocked: false,
         durationSeconds, network: { durationSeconds },
         userAgent: ua, navigationWaitUntil: "fetch", navigationTimedOut: false,
-        crawlerUa: label,
-      });
+        crawlerUa: label, proxy: proxy?.label ?? null, antiBot: summarizeAntiBot(antiBot),
+        session: session ? { domain: session.key } : null,
+      };
+      if (!isValidResult(extracted, resolveSiteProfile(finalUrl))) {
+        partial = buildPartialPayload({ ...extracted, finalUrl }, meta) || partial;
+        continue;
+      }
+
+      await session?.save();
+      return buildSuccessPayload({ ...extracted, finalUrl }, meta);
     } catch (err) {
+      if (signal?.aborted) break;
+      storeResponseCookies(session, url, err?.response);
       const status = err?.response?.status;
-      if (status === 403 || status === 429 || status === 407) continue;
+      if (err?.response) {
+        const antiBot = detectAntiBot({ status, headers: err.response.headers, html: typeof err.response.data === "string" ? err.response.data : "" });
+        if (antiBot.blocked) {
+          lastAntiBot = antiBot;
+          if (!useProxy) directBlocked = true;
+        }
+      }
+      if (PROXY_FAILURE_STATUSES.has(status)) proxyPool.reportFailure(proxy, `status_${status}`, hostname);
+      else if (!status) proxyPool.reportFailure(proxy, "network", hostname);
+      if (PROXY_FAILURE_STATUSES.has(status)) continue;
       // Erreur réseau/proxy → continuer
       if (err?.code === "ECONNREFUSED" || err?.code === "ETIMEDOUT") continue;
       const message = status
         ? `Stage0 HTTP ${status}`
         : `Stage0 fetch failed: ${err?.message || "unknown"}`;
-      if (!useProxy) return { ok: false, stage: "stage0", error: message };
+      if (!useProxy) return { ok: false, stage: "stage0", error: message, partial };
       continue;
     }
   }
 
-  return { ok: false, stage: "stage0", error: "Stage0 blocked on all UA attempts" };
+  await session?.save();
+  if (signal?.aborted) return { ok: false, stage: "stage0", error: signal.reason?.message || "Stage0 aborted", partial };
+  if (lastAntiBot) {
+    return { ok: false, stage: "stage0", status: "blocked", error: describeAntiBotBlock("Stage0", lastAntiBot), antiBot: summarizeAntiBot(lastAntiBot), partial };
+  }
+  return { ok: false, stage: "stage0", error: "Stage0 blocked on all UA attempts", partial };
 }
 
-async function runStage3(url) {
+async function runStage3(url, { explain = false, signal = null } = {}) {
   const apiKey = process.env.BRIGHTDATA_API_KEY;
   if (!apiKey) return { ok: false, stage: "stage3", error: "BRIGHTDATA_API_KEY missing" };
   const stageStart = performance.now();
@@ -1623,7 +2660,7 @@ async function runStage3(url) {
   let attempts = 1;
   try {
     const response = await axios.post("https://api.brightdata.com/request", payload, {
-      headers, timeout: NAVIGATION_TIMEOUT, responseType: "arraybuffer",
+      headers, timeout: NAVIGATION_TIMEOUT, responseType: "arraybuffer", signal,
     });
     const responseBuffer = Buffer.isBuffer(response.data)
       ? response.data
@@ -1648,62 +2685,37 @@ async function runStage3(url) {
       return /<html|<!doctype html|<body|<head/i.test(trimmed) || !trimmed.startsWith("{");
     });
     if (!htmlContent) return { ok: false, stage: "stage3", attempts, error: "Empty response body from BrightData" };
-    const extracted = extractFromHtmlContent(htmlContent, url);
-    if (!isValidResult(extracted)) return { ok: false, stage: "stage3", attempts, error: "Invalid BrightData extraction" };
+    const antiBot = detectAntiBot({ html: htmlContent });
+    if (antiBot.blocked) {
+      return { ok: false, stage: "stage3", status: "blocked", attempts, error: describeAntiBotBlock("BrightData", antiBot), antiBot: summarizeAntiBot(antiBot) };
+    }
+    const extracted = extractFromHtmlContent(htmlContent, url, { explain });
     const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
-    return buildSuccessPayload(extracted, {
+    const meta = {
       stage: "brightdata", fallbackUsed: true, blocked: false,
       costEstimate: 0.0015, durationSeconds, network: { durationSeconds }, attempts,
-    });
+      antiBot: summarizeAntiBot(antiBot),
+    };
+    if (!isValidResult(extracted, resolveSiteProfile(url))) {
+      return {
+        ok: false, stage: "stage3", attempts, error: "Invalid BrightData extraction",
+        partial: buildPartialPayload({ ...extracted, finalUrl: url }, meta),
+      };
+    }
+    return buildSuccessPayload({ ...extracted, finalUrl: url }, meta);
   } catch (err) {
+    if (signal?.aborted) return { ok: false, stage: "stage3", attempts, error: signal.reason?.message || "Stage3 aborted" };
     const statusText = err?.response?.status ? ` (status ${err.response.status})` : "";
     const message = err?.message ? `${err.message}${statusText}` : `BrightData request failed${statusText}`;
     return { ok: false, stage: "stage3", attempts, error: message };
   }
 }
 
-// ─── DOMAINES NON SUPPORTÉS ─────────────────────────────────────────────────
-const UNSUPPORTED_DOMAINS = [
-  "chanel.com",
-  "maybelline.fr",
-  "maybelline.com",
-  "guerlain.com",
-];
-
-function isUnsupportedDomain(url) {
-  try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    return UNSUPPORTED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
-  } catch {
-    return false;
-  }
-}
-
-// ✅ PATCH: Sephora ajouté dans les domaines qui forcent BrightData (JS dynamique + Akamai)
-const BRIGHTDATA_FORCED_DOMAINS = [
-  "sephora.fr",
-  "sephora.com",
-  "sephora.es",
-  "sephora.it",
-  "sephora.pl",
-  "sephora.pt",
-  "sephora.cz",
-];
-
-function isBrightDataForcedDomain(url) {
-  try {
-    const hostname = new URL(url).hostname.toLowerCase();
-    return BRIGHTDATA_FORCED_DOMAINS.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
-  } catch {
-    return false;
-  }
-}
-
 // ─── STAGE APIFY : Sephora uniquement via API mobile officielle ─────────────
 // Utilise l'Actor Apify autofacts/sephora qui appelle l'API mobile Sephora
 // avec TLS fingerprint impersonation + OAuth2 guest token.
-// Activé seulement pour les domaines Sephora + si APIFY_API_TOKEN est défini.
-async function runApify(url) {
+// Activé seulement si le routage l'autorise (Sephora, voir routing.yaml) + si APIFY_API_TOKEN est défini.
+async function runApify(url, { explain = false, signal = null } = {}) {
   const apiToken = process.env.APIFY_API_TOKEN;
   if (!apiToken) return { ok: false, stage: "apify", error: "APIFY_API_TOKEN missing" };
 
@@ -1725,6 +2737,7 @@ async function runApify(url) {
           "Content-Type": "application/json",
         },
         timeout: 70000,
+        signal,
       }
     );
 
@@ -1739,6 +2752,7 @@ async function runApify(url) {
       {
         headers: { "Authorization": `Bearer ${apiToken}` },
         timeout: 10000,
+        signal,
       }
     );
 
@@ -1755,12 +2769,34 @@ async function runApify(url) {
     const fullTitle = brand && title && !title.includes(brand) ? `${title} | ${brand}` : title;
 
     // Prix = premier variant en stock
-    let price = null;
+    let priceFields = resolvePriceFields(null, null);
     if (product.variants?.length > 0) {
       const inStock = product.variants.find(v => v.price?.stockStatus === "IN_STOCK");
       const variant = inStock || product.variants[0];
-      price = variant?.price?.current ? String(variant.price.current) : null;
+      const currencyHints = [variant?.price?.currency].filter(Boolean);
+      priceFields = resolvePriceFields(
+        buildPriceObject(variant?.price?.current, { currencyHints, source: "apify" }),
+        buildPriceObject(variant?.price?.original, { currencyHints, source: "apify_original" })
+      );
     }
+    const { price } = priceFields;
+
+    const variants = dedupeVariants((product.variants || []).map((v) => {
+      const currencyHints = [v.price?.currency].filter(Boolean);
+      return buildVariant({
+        id: v.id ?? null,
+        title: v.name || v.title || null,
+        sku: v.sku || null,
+        options: extractVariantOptions(v),
+        price: buildPriceObject(v.price?.current, { currencyHints, source: "apify" }),
+        originalPrice: buildPriceObject(v.price?.original, { currencyHints, source: "apify_original" }),
+        availability: normalizeAvailability(v.price?.stockStatus),
+        images: collectVariantImages((v.medias || v.images || []).filter((m) => !m?.type || m.type === "hi-res"), url),
+      });
+    }));
+    const variantAvailability = toVariantAvailability(variants);
+    const availability = aggregateAvailability(variantAvailability.map((v) => v.availability));
+    const mainVariant = product.variants?.find((v) => v.price?.stockStatus === "IN_STOCK") || product.variants?.[0];
 
     // Images = medias hi-res
     const images = (product.medias || [])
@@ -1777,7 +2813,19 @@ async function runApify(url) {
       ok: true,
       stage: "apify",
       title: fullTitle,
-      price,
+      ...priceFields,
+      availability,
+      variantAvailability,
+      variants,
+      brand: cleanIdentifier(brand),
+      sku: cleanIdentifier(mainVariant?.sku || product.sku),
+      gtin: readGtinFromNode(mainVariant) || readGtinFromNode(product),
+      mpn: null,
+      rating: normalizeRating({ ratingValue: product.rating, count: product.reviewsCount ?? product.reviewCount, source: "apify" }),
+      categoryPath: [],
+      canonicalUrl: normalizeUrl(product.url, url),
+      finalUrl: url,
+      ...(explain ? { explain: buildApiExplanation("apify", price, images) } : {}),
       description: product.description || null,
       images,
       meta: {
@@ -1793,6 +2841,7 @@ async function runApify(url) {
       },
     };
   } catch (err) {
+    if (signal?.aborted) return { ok: false, stage: "apify", error: signal.reason?.message || "Apify aborted" };
     const status = err?.response?.status;
     const message = status
       ? `Apify HTTP ${status}: ${err?.response?.data?.error?.message || ""}`
@@ -1804,7 +2853,7 @@ async function runApify(url) {
 // ─── STAGE 4 : BrightData Scraping Browser (dernier recours) ────────────────
 // Vrai Chrome hébergé chez BrightData — quasi impossible à bloquer par Akamai.
 // Activé seulement si BRIGHTDATA_SCRAPING_BROWSER_ENDPOINT est défini.
-async function runStage4(url) {
+async function runStage4(url, { explain = false, signal = null } = {}) {
   const wsEndpoint = process.env.BRIGHTDATA_SCRAPING_BROWSER_ENDPOINT;
   if (!wsEndpoint) {
     return { ok: false, stage: "stage4", error: "BRIGHTDATA_SCRAPING_BROWSER_ENDPOINT not configured" };
@@ -1812,40 +2861,50 @@ async function runStage4(url) {
 
   const stageStart = performance.now();
   let browser = null;
+  // Annulation : se déconnecter ferme la session BrightData (et arrête la facturation)
+  const onAbort = () => {
+    if (browser) browser.disconnect().catch(() => {});
+  };
+  signal?.addEventListener("abort", onAbort, { once: true });
   try {
     browser = await puppeteer.connect({
       browserWSEndpoint: wsEndpoint,
       defaultViewport: null,
     });
+    if (signal?.aborted) throw signal.reason;
 
     const page = await browser.newPage();
     page.setDefaultTimeout(40000);
 
     // networkidle2 = attend que le réseau soit calme (Next.js a fini de charger)
-    await page.goto(url, { waitUntil: "networkidle2", timeout: 35000 }).catch(async () => {
+    const response = await page.goto(url, { waitUntil: "networkidle2", timeout: 35000 }).catch(() => {
       // Si networkidle2 timeout, on essaie quand même de récupérer le contenu
+      return null;
     });
 
     // Pause pour laisser le JS s'exécuter
     await new Promise(r => setTimeout(r, 2000));
+    const consent = await consentHandler.dismiss(page, { signal });
 
     // BrightData recommande page.evaluate plutôt que page.content()
     const html = await page.evaluate(() => document.documentElement.outerHTML).catch(async () => {
       return await page.content();
     });
+    const finalUrl = page.url() || url;
+    const cookies = await page.cookies().catch(() => []);
     await page.close();
 
+    const antiBot = detectAntiBot({ status: response?.status?.() ?? null, headers: response?.headers?.() ?? null, cookies, html });
+    if (antiBot.blocked) {
+      return { ok: false, stage: "stage4", status: "blocked", error: describeAntiBotBlock("Scraping Browser", antiBot), antiBot: summarizeAntiBot(antiBot) };
+    }
     if (!html || html.length < 5000) {
       return { ok: false, stage: "stage4", error: "Empty response from Scraping Browser" };
     }
 
-    const extracted = extractFromHtmlContent(html, url);
-    if (!isValidResult(extracted)) {
-      return { ok: false, stage: "stage4", error: "Stage4 extraction invalid or incomplete" };
-    }
-
+    const extracted = extractFromHtmlContent(html, finalUrl, { explain });
     const durationSeconds = roundDuration((performance.now() - stageStart) / 1000);
-    return buildSuccessPayload(extracted, {
+    const meta = {
       stage: "scraping_browser",
       fallbackUsed: true,
       blocked: false,
@@ -1854,11 +2913,22 @@ async function runStage4(url) {
       userAgent: "BrightData-ScrapingBrowser",
       navigationWaitUntil: "networkidle2",
       navigationTimedOut: false,
-    });
+      antiBot: summarizeAntiBot(antiBot),
+      consent,
+    };
+    if (!isValidResult(extracted, resolveSiteProfile(finalUrl))) {
+      return {
+        ok: false, stage: "stage4", error: "Stage4 extraction invalid or incomplete",
+        partial: buildPartialPayload({ ...extracted, finalUrl }, meta),
+      };
+    }
+
+    return buildSuccessPayload({ ...extracted, finalUrl }, meta);
   } catch (err) {
-    const message = err?.message || "Scraping Browser failed";
+    const message = (signal?.aborted ? signal.reason?.message : err?.message) || "Scraping Browser failed";
     return { ok: false, stage: "stage4", error: message };
   } finally {
+    signal?.removeEventListener("abort", onAbort);
     if (browser) {
       try { await browser.disconnect(); } catch {}
     }
@@ -1877,38 +2947,127 @@ function stripUtmParams(rawUrl) {
   }
 }
 
-// ── Strip HTML brut → texte propre ───────────────────────────────────────────
-function stripHtml(html) {
-  if (!html) return '';
-  return html
-    .replace(/<br\s*\/?>/gi, ' ')
-    .replace(/<\/p>/gi, ' ')
-    .replace(/<\/li>/gi, ' ')
-    .replace(/<[^>]*>/g, '')
-    .replace(/&nbsp;/g, ' ')
-    .replace(/&amp;/g, '&')
-    .replace(/&lt;/g, '<')
-    .replace(/&gt;/g, '>')
-    .replace(/&quot;/g, '"')
-    .replace(/&#[0-9]+;/g, '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, 500);
+// ── Description : HTML brut → texte / markdown / HTML nettoyé ───────────────
+const DESCRIPTION_FORMATS = ["plain", "markdown", "sanitized_html"];
+const DEFAULT_DESCRIPTION_FORMAT = DESCRIPTION_FORMATS.includes(process.env.SCRAPER_DESCRIPTION_FORMAT)
+  ? process.env.SCRAPER_DESCRIPTION_FORMAT
+  : "plain";
+const DEFAULT_DESCRIPTION_MAX_LENGTH = /^\d+$/.test(`${process.env.SCRAPER_DESCRIPTION_MAX_LENGTH ?? ""}`.trim())
+  ? parseDescriptionMaxLength(process.env.SCRAPER_DESCRIPTION_MAX_LENGTH)
+  : null;
+
+const DESCRIPTION_SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p", "br", "ul", "ol", "li", "strong", "b", "em", "i", "u",
+    "h2", "h3", "h4", "h5", "h6", "blockquote", "a",
+    "table", "thead", "tbody", "tr", "th", "td",
+  ],
+  allowedAttributes: { a: ["href"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: { h1: "h2", div: "p" },
+  exclusiveFilter: (frame) => ["p", "li"].includes(frame.tag) && !frame.text.trim(),
+};
+
+const HTML_TO_TEXT_OPTIONS = {
+  wordwrap: false,
+  selectors: [
+    { selector: "a", options: { ignoreHref: true } },
+    { selector: "img", format: "skip" },
+    ...["h1", "h2", "h3", "h4", "h5", "h6"].map((selector) => ({ selector, options: { uppercase: false } })),
+    { selector: "table", format: "dataTable", options: { uppercaseHeaderCells: false } },
+  ],
+};
+
+const turndownService = new TurndownService({ headingStyle: "atx", bulletListMarker: "-", emDelimiter: "*" });
+turndownService.remove(["script", "style", "noscript", "iframe", "img"]);
+
+// Entier >= 0 (0 = pas de limite) ; lève une erreur sinon (400 côté API)
+function parseDescriptionMaxLength(value) {
+  const text = `${value ?? ""}`.trim();
+  if (!/^\d+$/.test(text)) throw new Error(`Invalid descriptionMaxLength (expected a non-negative integer, 0 for no limit)`);
+  const parsed = Number.parseInt(text, 10);
+  return parsed > 0 ? parsed : null;
+}
+
+function resolveDescriptionOptions({ descriptionFormat, descriptionMaxLength } = {}) {
+  const format = descriptionFormat ? `${descriptionFormat}`.trim().toLowerCase() : DEFAULT_DESCRIPTION_FORMAT;
+  if (!DESCRIPTION_FORMATS.includes(format)) {
+    throw new Error(`Invalid descriptionFormat (expected one of: ${DESCRIPTION_FORMATS.join(", ")})`);
+  }
+  const maxLength = descriptionMaxLength === undefined || descriptionMaxLength === ""
+    ? DEFAULT_DESCRIPTION_MAX_LENGTH
+    : parseDescriptionMaxLength(descriptionMaxLength);
+  return { format, maxLength };
+}
+
+function sanitizeDescriptionHtml(html) {
+  return sanitizeHtml(html, DESCRIPTION_SANITIZE_OPTIONS).trim();
+}
+
+// Coupe au dernier espace avant la limite pour ne pas tronquer un mot
+function truncateText(text, maxLength) {
+  if (!maxLength || text.length <= maxLength) return text;
+  const cut = text.slice(0, Math.max(1, maxLength - 1));
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
+
+// HTML : on garde des blocs entiers tant que le texte visible reste sous la limite
+function truncateHtmlBlocks(html, maxLength) {
+  const $ = cheerio.load(html, null, false);
+  if (!maxLength || $.root().text().length <= maxLength) return html;
+  const kept = [];
+  let textLength = 0;
+  for (const element of $.root().contents().toArray()) {
+    const blockText = $(element).text();
+    if (textLength + blockText.length > maxLength) break;
+    kept.push($.html(element));
+    textLength += blockText.length;
+  }
+  if (!kept.length) return `<p>${he.encode(truncateText($.root().text().trim(), maxLength))}</p>`;
+  return kept.join("").trim();
+}
+
+function formatDescription(value, { format = DEFAULT_DESCRIPTION_FORMAT, maxLength = null } = {}) {
+  if (!value) return null;
+  let html = `${value}`;
+  // HTML encodé en entités (JSON-LD, certains body_html)
+  if (/&lt;\/?[a-z]/i.test(html)) html = decodeHtmlEntities(html);
+  let output;
+  if (format === "markdown") {
+    output = turndownService.turndown(sanitizeDescriptionHtml(html));
+  } else if (format === "sanitized_html") {
+    output = truncateHtmlBlocks(sanitizeDescriptionHtml(html), maxLength);
+  } else {
+    output = htmlToText(html, HTML_TO_TEXT_OPTIONS).replace(/\n{3,}/g, "\n\n");
+  }
+  output = `${output || ""}`.trim();
+  if (!output) return null;
+  return format === "sanitized_html" ? output : truncateText(output, maxLength);
+}
+
+function applyDescriptionFormat(result, descriptionOptions) {
+  if (!result || typeof result !== "object") return result;
+  return { ...result, description: formatDescription(result.description, descriptionOptions) };
 }
 
-async function scrapeWithStages(url) {
+async function scrapeWithStages(url, options = {}) {
   if (!url) throw new Error("URL is required");
+  const descriptionOptions = resolveDescriptionOptions(options);
+  const stageOptions = { explain: Boolean(options.explain), dumpNetwork: Boolean(options.dumpNetwork) };
   // Strip UTM params pour éviter les URLs trackées
   url = stripUtmParams(url);
   const requestStart = performance.now();
-  const steps = { shopify_api: "skipped", stage0: "skipped", stage1: "skipped", stage3: "skipped", stage4: "skipped" };
+  const steps = Object.fromEntries(STAGE_NAMES.map((stageName) => [stageName, "skipped"]));
+  const plan = resolveStagePlan(url);
 
-  if (isUnsupportedDomain(url)) {
+  if (plan.unsupported) {
     const durationSeconds = roundDuration((performance.now() - requestStart) / 1000);
     const logEntry = {
       event: "SCRAPE",
       url,
       stage: "unsupported_domain",
+      route: plan.route,
       ok: false,
       blocked: false,
       duration: durationSeconds,
@@ -1931,7 +3090,20 @@ async function scrapeWithStages(url) {
       title: null,
       description: null,
       price: null,
+      originalPrice: null,
+      discountPercent: null,
+      availability: "unknown",
+      variantAvailability: [],
+      variants: [],
+      brand: null,
+      sku: null,
+      gtin: null,
+      mpn: null,
+      rating: null,
+      categoryPath: [],
       images: [],
+      canonicalUrl: null,
+      finalUrl: null,
       meta: {
         stage: "unsupported_domain",
         blocked: false,
@@ -1968,144 +3140,201 @@ async function scrapeWithStages(url) {
       const brightDataUsed = Boolean(attempted && !missingError);
       meta = { ...(meta || {}), brightDataUsed };
     }
-    return { attempted, status, ok, error, blocked, durationSeconds, meta };
+    return { attempted, status, ok, error, blocked, durationSeconds, paid: plan.isPaid(stageName), meta };
   };
 
-  let shopifyResult = null;
-  let shopifyAttempted = false;
-  const shopifyHandle = extractShopifyHandle(url);
-  if (shopifyHandle) {
-    shopifyAttempted = true;
-    shopifyResult = await runShopifyApi(url);
-    console.log(JSON.stringify({ event: "SHOPIFY_API_DEBUG", url, ok: shopifyResult?.ok, error: shopifyResult?.error, stage: shopifyResult?.stage }));
-    steps.shopify_api = resolveStageStatus(shopifyResult, true, false);
-    if (shopifyResult?.ok && (shopifyResult?.images?.length ?? 0) >= 3) {
-      const durationSeconds = roundDuration((performance.now() - requestStart) / 1000);
-      const logEntry = {
-        event: "SCRAPE",
-        url,
-        stage: "shopify_api",
-        ok: true,
-        blocked: false,
-        duration: durationSeconds,
-        imagesCount: Array.isArray(shopifyResult?.images) ? shopifyResult.images.length : 0,
-        images: Array.isArray(shopifyResult?.images) ? shopifyResult.images.map(img => {
-          try { return new URL(img.url).pathname.split("/").pop().substring(0, 80); } catch { return img.url.substring(0, 80); }
-        }) : [],
-        title: shopifyResult?.title || null,
-        price: shopifyResult?.price || null,
-        timestamp: new Date().toISOString(),
-        steps,
-        stages: {
-          shopify_api: buildStageLog("shopify_api", shopifyResult, true),
-          stage0: buildStageLog("stage0", null, false),
-          stage1: buildStageLog("stage1", null, false),
-          stage3: buildStageLog("stage3", null, false),
-          stage4: buildStageLog("stage4", null, false),
-        },
+  const stageResults = {};
+  const stageAttempted = {};
+  const mergeEntries = [];
+  const profile = resolveSiteProfile(url);
+  let mergedResult = null;
+  let missingFields = plan.requiredFields;
+  let finalResult = null;
+  let finalStage = "failed";
+
+  // Annulation de toute la requête : signal de l'appelant (client parti) ou deadline options.timeoutMs
+  const requestController = new AbortController();
+  const unlinkRequest = linkAbortSignal(options.signal, requestController);
+  const requestSignal = requestController.signal;
+  const deadline = options.timeoutMs ? requestStart + options.timeoutMs : null;
+  const deadlineTimer = deadline
+    ? setTimeout(() => {
+      requestController.abort(createAbortReason("SCRAPE_DEADLINE", `Scrape deadline of ${options.timeoutMs}ms exceeded`));
+    }, options.timeoutMs)
+    : null;
+
+  // Stages sans objet pour cette URL (les runners renvoient null)
+  const stageApplies = {
+    shopify_api: () => Boolean(extractShopifyHandle(url)),
+    apify: () => Boolean(process.env.APIFY_API_TOKEN),
+    stage4: () => Boolean(process.env.BRIGHTDATA_SCRAPING_BROWSER_ENDPOINT),
+  };
+
+  // Avec une deadline, le temps restant est partagé entre ce stage et ceux qui peuvent
+  // encore s'exécuter, au prorata de leur timeout ; un stage ne dépasse jamais le sien.
+  // Les relances d'un même stage (stage0) se partagent le budget de sa première exécution.
+  const stageDeadlines = {};
+  const stageBudgetMs = (stageName) => {
+    const configured = plan.timeoutFor(stageName);
+    if (!deadline) return configured;
+    const now = performance.now();
+    if (stageDeadlines[stageName]) return Math.max(0, Math.round(Math.min(stageDeadlines[stageName], deadline) - now));
+    const remainingMs = Math.max(0, deadline - now);
+    const upcoming = plan.stages
+      .slice(Math.max(0, plan.stages.indexOf(stageName)))
+      .filter((stage) => stage === stageName || (stageApplies[stage]?.() ?? true))
+      .filter((stage) => stage === stageName || !(mergedResult?.ok && plan.isPaid(stage) && !plan.paidForPartial));
+    const weightOf = (stage) => plan.timeoutFor(stage) ?? DEADLINE_STAGE_WEIGHT_MS;
+    const totalWeight = upcoming.reduce((total, stage) => total + weightOf(stage), 0);
+    const share = Math.max(MIN_STAGE_BUDGET_MS, (remainingMs * weightOf(stageName)) / totalWeight);
+    const budgetMs = Math.round(Math.min(configured ?? Infinity, share, remainingMs));
+    stageDeadlines[stageName] = now + budgetMs;
+    return budgetMs;
+  };
+
+  // Chaque exécution de stage prend une place dans le pool du scheduler ;
+  // le timeout du stage ne court qu'une fois la place obtenue
+  const priority = options.priority === "background" ? "background" : "interactive";
+  const queueStages = {};
+  const poolForStage = (stageName) => (plan.isPaid(stageName) ? "paid" : stageName === "stage1" ? "browser" : "http");
+  const runPlannedStage = async (stageName, stageFn) => {
+    const pool = poolForStage(stageName);
+    const recordQueue = (waitMs, queueDepth) => {
+      const previous = queueStages[stageName];
+      queueStages[stageName] = {
+        pool,
+        waitMs: (previous?.waitMs || 0) + waitMs,
+        queueDepth: Math.max(previous?.queueDepth || 0, queueDepth),
       };
-      console.log(JSON.stringify(logEntry));
-      return shopifyResult;
+    };
+    // Deadline ou client parti pendant l'attente d'une place : le stage ne démarre jamais
+    const queuedAt = performance.now();
+    let slot;
+    try {
+      slot = await stageScheduler.acquire(pool, priority, { signal: requestSignal });
+    } catch (err) {
+      if (!requestSignal.aborted) throw err;
+      recordQueue(Math.round(performance.now() - queuedAt), 0);
+      return { ok: false, stage: stageName, error: requestSignal.reason?.message || `${stageName} aborted while queued` };
     }
-  }
-
-  // ── STAGE 0 : fetch HTTP simple (gratuit, ~1-2s) avec retry sur différents UA ────
-  let stage0Result = null;
-  let stage0Attempted = false;
-  // Tenter stage0 seulement si ce n'est pas un domaine qui force BrightData d'emblée
-  // (on le tente quand même sur Sephora car c'est SSR Next.js)
-  stage0Attempted = true;
-  
-  // Retry stage0 avec différents UA si le premier échoue
-  for (let i = 0; i < USER_AGENTS.length && !stage0Result?.ok; i++) {
-    stage0Result = await runStageWithHardTimeout("stage0", 8000, () => runStage0(url, USER_AGENTS[i]));
-    if (stage0Result?.ok) {
-      if (i > 0) console.log(JSON.stringify({ event: "STAGE0_SUCCESS_ON_RETRY", url, uaIndex: i }));
-      break;
+    recordQueue(slot.waitMs, slot.queueDepth);
+    const budgetMs = requestSignal.aborted ? 0 : stageBudgetMs(stageName);
+    if (budgetMs === 0) {
+      slot.release();
+      return { ok: false, stage: stageName, error: `${stageName} skipped: no time left before the deadline` };
     }
-  }
-  
-  steps.stage0 = resolveStageStatus(stage0Result, true, false);
-  let finalResult = null;
-  let finalStage = "stage0";
+    const { result, settled } = runStageWithHardTimeout(stageName, budgetMs, stageFn, requestSignal);
+    // La place reste prise tant que le stage annulé n'a pas fini de fermer ses ressources
+    settled.finally(() => slot.release());
+    return result;
+  };
 
-  if (stage0Result?.ok) {
-    finalResult = stage0Result;
-    finalStage = "stage0";
-  }
+  // Chaque runner renvoie le résultat du stage, ou null s'il ne s'applique pas à l'URL
+  const stageRunners = {
+    shopify_api: async () => {
+      if (!stageApplies.shopify_api()) return null;
+      const shopifyResult = await runPlannedStage("shopify_api", (signal) => runShopifyApi(url, { ...stageOptions, signal }));
+      console.log(JSON.stringify({ event: "SHOPIFY_API_DEBUG", url, ok: shopifyResult?.ok, error: shopifyResult?.error, stage: shopifyResult?.stage }));
+      steps.shopify_api = resolveStageStatus(shopifyResult, true, false);
+      return shopifyResult;
+    },
 
-  // ── STAGE 1 : Puppeteer ──────────────────────────────────────────────────
-  let stage1Result = null;
-  if (!finalResult) {
-    stage1Result = await runStageWithHardTimeout("stage1", STAGE1_HARD_TIMEOUT_MS, () => runStage1(url));
-    steps.stage1 = resolveStageStatus(stage1Result, true, false);
-    finalStage = stage1Result?.meta?.stage || "stage1";
-
-    if (stage1Result?.ok) {
-      if (shopifyResult?.ok) {
-        const shopifyImageUrls = new Set(
-          (shopifyResult.images || []).map(img => img.url).filter(Boolean)
-        );
-        const stage1Images = (stage1Result.images || []).filter(img => !shopifyImageUrls.has(img.url));
-        const mergedImages = [...(shopifyResult.images || []), ...stage1Images].slice(0, MAX_IMAGE_RESULTS);
-        finalResult = {
-          ...stage1Result,
-          images: mergedImages,
-          title: shopifyResult.title || stage1Result.title,
-          price: shopifyResult.price || stage1Result.price,
-          description: shopifyResult.description || stage1Result.description,
-        };
-      } else {
-        finalResult = stage1Result;
+    // ── STAGE 0 : fetch HTTP simple (gratuit, ~1-2s) avec retry sur différents UA ────
+    stage0: async () => {
+      let stage0Result = null;
+      let partial = null;
+      for (let i = 0; i < USER_AGENTS.length && !stage0Result?.ok && !requestSignal.aborted; i++) {
+        if (i > 0 && stageBudgetMs("stage0") === 0) break;
+        stage0Result = await runPlannedStage("stage0", (signal) => runStage0(url, { ...stageOptions, signal }));
+        partial = stage0Result?.partial || partial;
+        if (stage0Result?.ok) {
+          if (i > 0) console.log(JSON.stringify({ event: "STAGE0_SUCCESS_ON_RETRY", url, uaIndex: i }));
+          break;
+        }
+        // Anti-bot identifié : escalade vers le stage suivant plutôt que de réessayer
+        if (stage0Result?.status === "blocked") break;
       }
-    }
-  } else {
-    steps.stage1 = "skipped";
-  }
+      steps.stage0 = resolveStageStatus(stage0Result, true, false);
+      return stage0Result?.ok || !partial ? stage0Result : { ...stage0Result, partial };
+    },
 
-  // ── STAGE APIFY : Sephora uniquement ────────────────────────────────────
-  let apifyResult = null;
-  let apifyAttempted = false;
-  if (!finalResult && isBrightDataForcedDomain(url) && process.env.APIFY_API_TOKEN) {
-    apifyAttempted = true;
-    console.log(JSON.stringify({ event: "APIFY_ATTEMPT", url }));
-    apifyResult = await runApify(url);
-    if (apifyResult?.ok) {
-      finalResult = apifyResult;
-      finalStage = "apify";
-    }
-  }
-  steps.apify = apifyAttempted
-    ? (apifyResult?.ok ? "success" : "failed")
-    : "skipped";
+    // ── STAGE 1 : Puppeteer ──────────────────────────────────────────────────
+    stage1: async () => {
+      const stage1Result = await runPlannedStage("stage1", (signal) => runStage1(url, { ...stageOptions, signal }));
+      steps.stage1 = resolveStageStatus(stage1Result, true, false);
+      return stage1Result;
+    },
 
-  // ── STAGE 3 : BrightData Web Unlocker (une seule tentative) ────────────────
-  let stage3Result = null;
-  let stage3Attempted = false;
-  if (!finalResult) {
-    stage3Attempted = true;
-    console.log(JSON.stringify({ event: "STAGE3_ATTEMPT", url }));
-    stage3Result = await runStageWithHardTimeout("stage3", STAGE3_HARD_TIMEOUT_MS, () => runStage3(url));
-    if (stage3Result?.ok) {
-      finalResult = stage3Result;
-      finalStage = stage3Result?.meta?.stage || "brightdata";
+    // ── STAGE APIFY : API mobile Sephora (domaines autorisés par le routage) ──
+    apify: async () => {
+      if (!stageApplies.apify()) return null;
+      console.log(JSON.stringify({ event: "APIFY_ATTEMPT", url }));
+      const apifyResult = await runPlannedStage("apify", (signal) => runApify(url, { ...stageOptions, signal }));
+      steps.apify = apifyResult?.ok ? "success" : "failed";
+      return apifyResult;
+    },
+
+    // ── STAGE 3 : BrightData Web Unlocker (une seule tentative) ────────────────
+    stage3: async () => {
+      console.log(JSON.stringify({ event: "STAGE3_ATTEMPT", url }));
+      const stage3Result = await runPlannedStage("stage3", (signal) => runStage3(url, { ...stageOptions, signal }));
+      steps.stage3 = resolveStageStatus(stage3Result, true, true);
+      return stage3Result;
+    },
+
+    // ── STAGE 4 : BrightData Scraping Browser (dernier recours) ─────────────
+    stage4: async () => {
+      if (!stageApplies.stage4()) return null;
+      console.log(JSON.stringify({ event: "STAGE4_ATTEMPT", url }));
+      const stage4Result = await runPlannedStage("stage4", (signal) => runStage4(url, { ...stageOptions, signal }));
+      steps.stage4 = resolveStageStatus(stage4Result, true, true);
+      return stage4Result;
+    },
+  };
+
+  // L'API Shopify ne suffit seule qu'avec au moins 3 images (sinon on complète avec la page)
+  const stageCanFinish = {
+    shopify_api: (result) => (result?.images?.length ?? 0) >= 3,
+  };
+
+  // Ordre, timeouts et stages interdits/payants viennent de routing.yaml.
+  // Les résultats (même partiels) sont fusionnés champ par champ ; on continue
+  // tant que les champs requis de la route ne sont pas tous remplis.
+  try {
+    for (const stageName of plan.stages) {
+      if (finalResult || requestSignal.aborted) break;
+      if (mergedResult?.ok && plan.isPaid(stageName) && !plan.paidForPartial) continue;
+      const result = await stageRunners[stageName]();
+      if (result === null) continue;
+      stageAttempted[stageName] = true;
+      stageResults[stageName] = result;
+
+      const data = result?.ok ? result : result?.partial;
+      if (!data) continue;
+      mergeEntries.push({ stage: stageName, result: data });
+      mergedResult = mergeStageResults(mergeEntries, { maxImages: MAX_IMAGE_RESULTS, imageKey: createImageDedupKey });
+      mergedResult.ok = isValidResult(mergedResult, profile);
+      missingFields = missingRequiredFields(mergedResult, plan.requiredFields);
+      if (mergedResult.ok && !missingFields.length && (stageCanFinish[stageName]?.(result) ?? true)) {
+        finalResult = mergedResult;
+        finalStage = data.meta?.stage || stageName;
+      }
     }
+  } finally {
+    clearTimeout(deadlineTimer);
+    unlinkRequest();
   }
-  steps.stage3 = resolveStageStatus(stage3Result, stage3Attempted, true);
+  // Raison de l'arrêt anticipé (SCRAPE_DEADLINE, CLIENT_DISCONNECTED) ; le résultat n'est pas mis en cache
+  const abortedReason = requestSignal.aborted ? requestSignal.reason?.code || "ABORTED" : null;
 
-  // ── STAGE 4 : BrightData Scraping Browser (dernier recours) ─────────────
-  let stage4Result = null;
-  let stage4Attempted = false;
-  if (!finalResult && process.env.BRIGHTDATA_SCRAPING_BROWSER_ENDPOINT) {
-    stage4Attempted = true;
-    console.log(JSON.stringify({ event: "STAGE4_ATTEMPT", url }));
-    stage4Result = await runStageWithHardTimeout("stage4", 45000, () => runStage4(url));
-    if (stage4Result?.ok) {
-      finalResult = stage4Result;
-      finalStage = stage4Result?.meta?.stage || "scraping_browser";
-    }
+  // Champs requis incomplets après tous les stages : on renvoie le meilleur résultat fusionné
+  if (!finalResult && mergedResult?.ok) {
+    finalResult = mergedResult;
+    finalStage = mergedResult.meta?.stage || mergeEntries[mergeEntries.length - 1].stage;
+  }
+  if (finalResult) {
+    finalResult.meta = { ...finalResult.meta, stage: finalStage, missingFields };
   }
-  steps.stage4 = resolveStageStatus(stage4Result, stage4Attempted, true);
 
   if (!finalResult) {
     finalStage = "failed";
@@ -2114,7 +3343,20 @@ async function scrapeWithStages(url) {
       title: null,
       description: null,
       price: null,
+      originalPrice: null,
+      discountPercent: null,
+      availability: "unknown",
+      variantAvailability: [],
+      variants: [],
+      brand: null,
+      sku: null,
+      gtin: null,
+      mpn: null,
+      rating: null,
+      categoryPath: [],
       images: [],
+      canonicalUrl: null,
+      finalUrl: null,
       meta: {
         stage: "failed",
         blocked: true,
@@ -2128,20 +3370,41 @@ async function scrapeWithStages(url) {
     };
   }
 
-  if (finalResult?.description) {
-    finalResult.description = stripHtml(decodeHtmlEntities(finalResult.description));
+  // Anti-bots vus par stage ; antiBotDetected/antiBotReasons ne retiennent que les blocages
+  const antiBotStages = Object.fromEntries(Object.entries(stageResults)
+    .map(([stageName, result]) => [stageName, result?.antiBot || result?.meta?.antiBot || result?.partial?.meta?.antiBot || null])
+    .filter(([, detection]) => detection));
+  const antiBotBlocks = Object.values(antiBotStages).filter((detection) => detection.blocked);
+  const antiBotReasons = [...new Set(antiBotBlocks.flatMap((detection) => [
+    ...detection.blockingVendors,
+    ...detection.reasons.filter((reason) => reason.startsWith("http-") || reason === "generic-block-page"),
+  ]))];
+  finalResult.meta = { ...finalResult.meta, antiBotDetected: antiBotBlocks.length > 0, antiBotReasons, antiBot: antiBotStages };
+
+  if (abortedReason) {
+    finalResult.meta = { ...finalResult.meta, aborted: abortedReason };
+    if (!finalResult.ok) finalResult.error = requestSignal.reason?.message || "Scrape aborted";
+  }
+
+  if (options.dumpNetwork) {
+    finalResult = { ...finalResult, diagnostics: { network: stageResults.stage1?.diagnostics?.network ?? [] } };
   }
 
+  finalResult = applyDescriptionFormat(finalResult, descriptionOptions);
+  const queueWaitMs = Object.values(queueStages).reduce((total, entry) => total + entry.waitMs, 0);
+  finalResult = { ...finalResult, meta: { ...finalResult.meta, queue: { priority, waitMs: queueWaitMs, stages: queueStages } } };
+
   const durationSeconds = roundDuration((performance.now() - requestStart) / 1000);
   const blocked = Boolean(
     finalResult?.meta?.blocked || finalResult?.status === "blocked" ||
-    stage1Result?.status === "blocked" || stage3Result?.status === "blocked"
+    Object.values(stageResults).some((result) => result?.status === "blocked")
   );
 
   const logEntry = {
     event: "SCRAPE",
     url,
     stage: finalStage,
+    route: plan.route,
     ok: Boolean(finalResult?.ok),
     blocked,
     duration: durationSeconds,
@@ -2153,27 +3416,170 @@ async function scrapeWithStages(url) {
     price: finalResult?.price || null,
     timestamp: new Date().toISOString(),
     steps,
-    stages: {
-      shopify_api: buildStageLog("shopify_api", shopifyResult, shopifyAttempted),
-      stage0: buildStageLog("stage0", stage0Result, stage0Attempted),
-      stage1: buildStageLog("stage1", stage1Result, !!stage1Result),
-      stage3: buildStageLog("stage3", stage3Result, stage3Attempted),
-      stage4: buildStageLog("stage4", stage4Result, stage4Attempted),
-    },
+    stages: Object.fromEntries(STAGE_NAMES.map((stageName) => [
+      stageName,
+      buildStageLog(stageName, stageResults[stageName] || null, Boolean(stageAttempted[stageName])),
+    ])),
+    paidStagesUsed: plan.stages.filter((stageName) => stageAttempted[stageName] && plan.isPaid(stageName)),
+    priority,
+    queueWaitMs,
+    antiBot: Object.fromEntries(Object.entries(antiBotStages).map(([stageName, detection]) => [stageName, detection.vendors])),
+    ...(deadline ? { timeoutMs: options.timeoutMs } : {}),
+    ...(abortedReason ? { aborted: abortedReason } : {}),
   };
 
   if (!finalResult.ok) {
-    logEntry.errors = {
-      shopify_api: shopifyResult?.error || null,
-      stage1: stage1Result?.error || null,
-      stage3: stage3Result?.error || null,
-    };
+    logEntry.errors = Object.fromEntries(
+      Object.entries(stageResults).map(([stageName, result]) => [stageName, result?.error || null])
+    );
   }
 
   console.log(JSON.stringify(logEntry));
   return finalResult;
 }
 
+// ─── CACHE DES RÉSULTATS ──────────────────────────────────────────────────────
+const responseCache = createResultCache();
+
+// URL sans UTM, sans fragment, paramètres triés + options qui changent la réponse
+function buildScrapeCacheKey(url, options = {}) {
+  let normalizedUrl = stripUtmParams(url);
+  try {
+    const parsed = new URL(normalizedUrl);
+    parsed.hash = "";
+    parsed.searchParams.sort();
+    normalizedUrl = parsed.toString();
+  } catch {
+    // URL invalide : clé brute
+  }
+  const { format, maxLength } = resolveDescriptionOptions(options);
+  return [
+    normalizedUrl, `format=${format}`, `max=${maxLength ?? ""}`, `explain=${options.explain ? 1 : 0}`,
+    `network=${options.dumpNetwork ? 1 : 0}`,
+  ].join("|");
+}
+
+function withCacheMeta(result, cache) {
+  return { ...result, meta: { ...(result?.meta || {}), cache } };
+}
+
+function describeCacheEntry(status, entry = null) {
+  return {
+    status,
+    hit: status === "hit" || status === "stale",
+    negative: Boolean(entry?.negative),
+    ageSeconds: entry ? roundDuration((Date.now() - entry.storedAt) / 1000) : null,
+    store: responseCache.store.name,
+  };
+}
+
+// ─── COALESCING DES SCRAPES EN COURS ──────────────────────────────────────────
+// Appels simultanés pour la même clé (URL normalisée + options) : une seule
+// exécution de scrapeWithStages, dont le résultat est partagé par tous.
+const inFlightScrapes = new Map();
+const coalescingStats = { executions: 0, sharedCalls: 0 };
+
+// Le scrape partagé n'est annulé que quand tous ses appelants sont partis ;
+// un appelant sans signal (job, rafraîchissement du cache) le garde en vie
+function attachFlightCaller(flight, signal) {
+  if (!signal) {
+    flight.keepAlive = true;
+    return;
+  }
+  const onAbort = () => {
+    flight.listening--;
+    if (!flight.keepAlive && flight.listening === 0) flight.controller.abort(signal.reason);
+  };
+  flight.listening++;
+  if (signal.aborted) {
+    onAbort();
+    return;
+  }
+  signal.addEventListener("abort", onAbort, { once: true });
+  flight.detach.push(() => signal.removeEventListener("abort", onAbort));
+}
+
+// Un appel ne rejoint qu'un scrape de même priorité et de même deadline (timeoutMs) :
+// un /scrape interactif ne tourne jamais en priorité "background" ni sous le budget d'un autre
+function buildFlightKey(key, options) {
+  const priority = options.priority === "background" ? "background" : "interactive";
+  return `${key}|${priority}|${options.timeoutMs ?? ""}`;
+}
+
+function runCoalescedScrape(cacheKey, url, options) {
+  const key = buildFlightKey(cacheKey, options);
+  const existing = inFlightScrapes.get(key);
+  // Un scrape en cours d'annulation (tous ses appelants sont partis) n'est pas rejoint
+  if (existing && !existing.controller.signal.aborted) {
+    existing.callers++;
+    coalescingStats.sharedCalls++;
+    attachFlightCaller(existing, options.signal);
+    return existing.promise.then((result) => ({ result, leader: false, flight: existing }));
+  }
+  const flight = {
+    callers: 1, startedAt: Date.now(), promise: null,
+    controller: new AbortController(), listening: 0, keepAlive: false, detach: [],
+  };
+  coalescingStats.executions++;
+  attachFlightCaller(flight, options.signal);
+  flight.promise = scrapeWithStages(url, { ...options, signal: flight.controller.signal }).finally(() => {
+    if (inFlightScrapes.get(key) === flight) inFlightScrapes.delete(key);
+    flight.detach.forEach((detach) => detach());
+    if (flight.callers > 1) {
+      console.log(JSON.stringify({
+        event: "SCRAPE_COALESCED", url, callers: flight.callers, shared: flight.callers - 1,
+        durationSeconds: roundDuration((Date.now() - flight.startedAt) / 1000),
+      }));
+    }
+  });
+  inFlightScrapes.set(key, flight);
+  return flight.promise.then((result) => ({ result, leader: true, flight }));
+}
+
+function withCoalescingMeta(result, { leader, flight }) {
+  return { ...result, meta: { ...(result?.meta || {}), coalescing: { leader, callers: flight.callers } } };
+}
+
+// scrapeWithStages derrière le cache ; options.fresh force un scrape (et met le cache à jour)
+async function scrapeWithCache(url, options = {}) {
+  const key = buildScrapeCacheKey(url, options);
+  if (options.fresh) {
+    responseCache.count("bypass");
+  } else {
+    let cached = null;
+    try {
+      cached = await responseCache.lookup(key);
+    } catch (err) {
+      responseCache.count("error");
+      console.log(JSON.stringify({ event: "CACHE_READ_FAILED", key, error: err?.message || String(err) }));
+    }
+    if (cached?.state === "fresh") {
+      responseCache.count("hit");
+      return withCacheMeta(cached.entry.result, describeCacheEntry("hit", cached.entry));
+    }
+    if (cached?.state === "stale") {
+      responseCache.count("stale");
+      // Le rafraîchissement ne dépend pas de l'appelant (ni de son signal, ni de sa deadline)
+      const refreshOptions = { ...options, signal: null, timeoutMs: null };
+      responseCache.refreshInBackground(key, () => runCoalescedScrape(key, url, refreshOptions).then(({ result }) => result));
+      return withCacheMeta(cached.entry.result, describeCacheEntry("stale", cached.entry));
+    }
+    responseCache.count("miss");
+  }
+
+  const shared = await runCoalescedScrape(key, url, options);
+  // Seul l'appel qui a lancé le scrape écrit dans le cache, et jamais un scrape interrompu
+  if (shared.leader && !shared.result?.meta?.aborted) {
+    try {
+      await responseCache.save(key, shared.result);
+    } catch (err) {
+      responseCache.count("error");
+      console.log(JSON.stringify({ event: "CACHE_WRITE_FAILED", key, error: err?.message || String(err) }));
+    }
+  }
+  return withCacheMeta(withCoalescingMeta(shared.result, shared), describeCacheEntry(options.fresh ? "bypass" : "miss"));
+}
+
 app.get("/", (_req, res) => {
   res.json({ ok: true, status: "feednly-scraper", uptime: process.uptime() });
 });
@@ -2183,9 +3589,96 @@ app.get("/health", (_req, res) => {
     ok: true,
     uptime: process.uptime(),
     brightDataConfigured: Boolean(process.env.BRIGHTDATA_API_KEY),
+    siteProfiles: listSiteProfiles(),
+    routing: describeStageRouting(),
+    cache: responseCache.stats(),
+    coalescing: { inFlight: inFlightScrapes.size, ...coalescingStats },
+    jobs: { ...jobStore.stats(), retentionMs: JOB_RETENTION_MS },
+    scheduler: stageScheduler.stats(),
+    webhooks: webhookDelivery.stats(),
+    proxies: proxyPool.stats(),
+    sessions: sessionStore.stats(),
+    consent: consentHandler.stats(),
   });
 });
 
+// ─── ROUTES D'ADMINISTRATION ──────────────────────────────────────────────────
+// Authorization: Bearer <SCRAPER_ADMIN_TOKEN> ; sans token configuré, seuls les appels
+// locaux (loopback : sidecar, exec dans le conteneur) sont acceptés
+const ADMIN_TOKEN = `${process.env.SCRAPER_ADMIN_TOKEN || ""}`.trim();
+
+function isLoopbackAddress(address = "") {
+  return address === "::1" || address.startsWith("127.") || address.startsWith("::ffff:127.");
+}
+
+function sameSecret(given, expected) {
+  const digest = (value) => createHash("sha256").update(`${value}`).digest();
+  return timingSafeEqual(digest(given), digest(expected));
+}
+
+function requireAdmin(req, res, next) {
+  if (ADMIN_TOKEN) {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+    if (match && sameSecret(match[1].trim(), ADMIN_TOKEN)) return next();
+    console.log(JSON.stringify({ event: "ADMIN_DENIED", path: req.path, ip: req.socket.remoteAddress || null }));
+    return res.status(401).json({ ok: false, error: "Admin token required" });
+  }
+  if (isLoopbackAddress(req.socket.remoteAddress)) return next();
+  console.log(JSON.stringify({ event: "ADMIN_DENIED", path: req.path, ip: req.socket.remoteAddress || null }));
+  res.status(403).json({ ok: false, error: "Admin routes are local-only while SCRAPER_ADMIN_TOKEN is unset" });
+}
+
+// Recharge routing.yaml ; en cas d'erreur la config précédente reste active
+app.post("/admin/routing/reload", requireAdmin, async (_req, res) => {
+  try {
+    res.json({ ok: true, routing: await reloadStageRouting("http") });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err?.message || "Invalid routing config" });
+  }
+});
+
+// Oublie les cookies d'un domaine (session bloquée, consentement à refaire…)
+app.delete("/admin/sessions/:domain", requireAdmin, async (req, res) => {
+  try {
+    const cleared = await sessionStore.clear(req.params.domain);
+    console.log(JSON.stringify({ event: "SESSION_CLEARED", domain: req.params.domain, cleared }));
+    res.json({ ok: true, domain: req.params.domain, cleared });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err?.message || "Session clear failed" });
+  }
+});
+
+function isFlagEnabled(value) {
+  return value === true || value === 1 || value === "1" || value === "true";
+}
+
+// Deadline globale du scrape (timeoutMs), répartie entre les stages restants
+const MIN_SCRAPE_TIMEOUT_MS = 1000;
+const MAX_SCRAPE_TIMEOUT_MS = 5 * 60 * 1000;
+
+function readScrapeTimeoutMs(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < MIN_SCRAPE_TIMEOUT_MS || parsed > MAX_SCRAPE_TIMEOUT_MS) {
+    throw new Error(`Invalid timeoutMs (expected an integer between ${MIN_SCRAPE_TIMEOUT_MS} and ${MAX_SCRAPE_TIMEOUT_MS})`);
+  }
+  return parsed;
+}
+
+// Options de scrape depuis la query string (ou un élément de batch) ; lève une erreur si invalides
+function readScrapeOptions(source = {}) {
+  const scrapeOptions = {
+    descriptionFormat: source.descriptionFormat,
+    descriptionMaxLength: source.descriptionMaxLength,
+    explain: isFlagEnabled(source.explain),
+    fresh: isFlagEnabled(source.fresh),
+    dumpNetwork: isFlagEnabled(source.dumpNetwork),
+    timeoutMs: readScrapeTimeoutMs(source.timeoutMs),
+  };
+  resolveDescriptionOptions(scrapeOptions);
+  return scrapeOptions;
+}
+
 app.get("/scrape", async (req, res) => {
   const { url } = req.query;
   if (!url) {
@@ -2196,43 +3689,235 @@ app.get("/scrape", async (req, res) => {
     res.status(400).json({ ok: false, error: "Invalid or disallowed URL" });
     return;
   }
+  const legacyPrice = isLegacyPriceRequested(req.query.legacyPrice);
+  let scrapeOptions;
+  try {
+    scrapeOptions = readScrapeOptions(req.query);
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+    return;
+  }
+  // Client parti : le scrape est annulé (sauf s'il est partagé avec d'autres appels)
+  const clientGone = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) clientGone.abort(createAbortReason("CLIENT_DISCONNECTED", "Client disconnected"));
+  });
   try {
-    const result = await scrapeWithStages(`${url}`);
-    res.json(result);
+    const result = await scrapeWithCache(`${url}`, { ...scrapeOptions, signal: clientGone.signal });
+    res.json(legacyPrice ? applyLegacyPriceFormat(result) : result);
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message || "Scrape failed" });
   }
 });
 
 // ─── MODE ASYNCHRONE ─────────────────────────────────────────────────────────
-// Stockage en mémoire des jobs (réinitialisé au redémarrage de l'instance)
-const jobs = new Map();
+// Jobs conservés par job-store.js (mémoire ou journal fichier, SCRAPER_JOB_STORE)
+const jobStore = await createJobStore();
+const JOB_RETENTION_MS = Math.max(
+  60 * 1000,
+  Number.parseInt(process.env.SCRAPER_JOB_RETENTION_MS || "", 10) || 30 * 60 * 1000
+);
+// Un job interrompu (redémarrage) est relancé au plus ce nombre de fois
+const JOB_MAX_ATTEMPTS = Math.max(1, Number.parseInt(process.env.SCRAPER_JOB_MAX_ATTEMPTS || "", 10) || 3);
+// Jobs isolés (hors batch) relancés en même temps au démarrage
+const JOB_RESUME_CONCURRENCY = Math.max(1, Number.parseInt(process.env.SCRAPER_JOB_RESUME_CONCURRENCY || "", 10) || 4);
 
 // ── Nettoyage automatique des vieux jobs toutes les 5 min ────────────────────
-setInterval(() => {
-  const now = Date.now();
-  const maxAge = 30 * 60 * 1000; // 30 minutes
-  let cleaned = 0;
-  
-  for (const [jobId, job] of jobs.entries()) {
-    if (now - job.createdAt > maxAge) {
-      jobs.delete(jobId);
-      cleaned++;
+setInterval(async () => {
+  try {
+    const cleaned = await jobStore.purge(JOB_RETENTION_MS);
+    if (cleaned > 0) {
+      console.log(JSON.stringify({ event: "JOBS_CLEANUP", cleaned, remaining: jobStore.stats().total }));
     }
+  } catch (err) {
+    console.log(JSON.stringify({ event: "JOBS_CLEANUP_FAILED", error: err?.message || String(err) }));
   }
-  
-  if (cleaned > 0) {
-    console.log(JSON.stringify({ event: "JOBS_CLEANUP", cleaned, remaining: jobs.size }));
-  }
-}, 5 * 60 * 1000); // Toutes les 5 minutes
+}, 5 * 60 * 1000).unref(); // Toutes les 5 minutes
+
+// Baux des jobs en cours renouvelés bien avant leur expiration (job-store.js)
+setInterval(() => {
+  jobStore.renewLeases().catch((err) => {
+    console.log(JSON.stringify({ event: "JOB_LEASE_RENEW_FAILED", error: err?.message || String(err) }));
+  });
+}, Math.max(1000, Math.floor(jobStore.leaseMs / 3))).unref();
+
+// Arrêt propre : rend les baux pour qu'une autre instance reprenne les jobs tout de suite
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    jobStore.close().catch(() => {}).finally(() => process.exit(0));
+  });
+}
 
 function generateJobId() {
   return `job_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
 }
 
+function toIsoTimestamp(value) {
+  return typeof value === "number" ? new Date(value).toISOString() : null;
+}
+
+// Webhooks callback_url : signés, rejoués avec backoff (webhook-delivery.js)
+const webhookDelivery = createWebhookDelivery();
+
+function isValidCallbackUrl(value) {
+  try {
+    const parsed = new URL(`${value}`);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// Corps du webhook : résultat normalisé complet, plus les anciens champs à plat
+// (stage, blocked et duration viennent de result.meta)
+function buildJobCallbackPayload(job) {
+  const result = job.result || { ok: false, error: "Scrape failed" };
+  return {
+    event: job.status === "done" ? "job.done" : "job.failed",
+    job_id: job.id,
+    status: job.status,
+    url: job.url,
+    ok: Boolean(result.ok),
+    title: result.title || null,
+    price: result.price || null,
+    images: result.images || [],
+    imagesCount: Array.isArray(result.images) ? result.images.length : 0,
+    stage: result.meta?.stage || "failed",
+    blocked: Boolean(result.meta?.blocked),
+    duration: result.meta?.durationSeconds ?? null,
+    error: result.error || null,
+    createdAt: toIsoTimestamp(job.createdAt),
+    finishedAt: toIsoTimestamp(job.finishedAt),
+    result,
+  };
+}
+
+// Livre le webhook d'un job terminé ; chaque tentative est journalisée dans job.delivery
+async function deliverJobCallback(job) {
+  const previous = job.delivery?.attempts || [];
+  const attempts = [...previous];
+  await jobStore.update(job.id, { delivery: { status: "pending", attempts } });
+  const outcome = await webhookDelivery.deliver({
+    url: job.callbackUrl,
+    payload: buildJobCallbackPayload(job),
+    // Même clé pour toutes les tentatives, y compris après un redémarrage
+    idempotencyKey: job.id,
+    previousAttempts: previous.length,
+    onAttempt: async (entry) => {
+      attempts.push(entry);
+      await jobStore.update(job.id, { delivery: { status: "pending", attempts } });
+    },
+  });
+  const status = outcome.delivered ? "delivered" : "failed";
+  await jobStore.update(job.id, { delivery: { status, attempts } });
+  console.log(JSON.stringify({
+    event: outcome.delivered ? "WEBHOOK_DELIVERED" : "WEBHOOK_FAILED",
+    job_id: job.id,
+    attempts: outcome.attempts,
+    lastStatusCode: attempts[attempts.length - 1]?.statusCode ?? null,
+    lastError: attempts[attempts.length - 1]?.error ?? null,
+  }));
+}
+
+// Exécute un job (nouveau ou repris) dont cette instance tient le bail, puis le rend
+async function runScrapeJob(job) {
+  try {
+    await executeScrapeJob(job);
+  } finally {
+    await jobStore.release(job.id);
+  }
+}
+
+async function executeScrapeJob(job) {
+  const { url, options } = job;
+  await jobStore.update(job.id, { startedAt: Date.now(), attempts: (job.attempts || 0) + 1 });
+  try {
+    // Jobs de fond : passent après les appels /scrape dans le scheduler
+    const scrapeResult = await scrapeWithCache(url, { ...options.scrape, priority: "background" });
+    const result = options.legacyPrice ? applyLegacyPriceFormat(scrapeResult) : scrapeResult;
+    await jobStore.update(job.id, { status: "done", result, finishedAt: Date.now() });
+  } catch (err) {
+    const errorResult = { ok: false, error: err.message || "Scrape failed" };
+    await jobStore.update(job.id, { status: "failed", result: errorResult, finishedAt: Date.now() });
+  }
+
+  // Si un callback_url est fourni, l'appeler avec le résultat (même en cas d'erreur)
+  if (job.callbackUrl) {
+    await deliverJobCallback(await jobStore.get(job.id));
+  }
+  // Un job de batch peut être le dernier en cours : met à jour le statut du batch
+  if (job.batchId) await refreshBatchStatus(job.batchId);
+}
+
+// Reprise des jobs "pending" sans bail valide (instance arrêtée ou tuée), avec les mêmes
+// limites qu'à leur lancement : la concurrence de leur batch, JOB_RESUME_CONCURRENCY sinon.
+// claim() garantit qu'une seule instance reprend chaque job.
+async function resumePendingJobs() {
+  const pending = await jobStore.listPending();
+  const resumable = [];
+  for (const candidate of pending) {
+    // Les batchs ne s'exécutent pas eux-mêmes : seuls leurs jobs sont repris
+    if (candidate.type === "batch") continue;
+    const job = await jobStore.claim(candidate.id);
+    if (!job) continue;
+    if (job.status !== "pending") {
+      await jobStore.release(job.id);
+      continue;
+    }
+    if ((job.attempts || 0) >= JOB_MAX_ATTEMPTS) {
+      await jobStore.update(job.id, {
+        status: "failed",
+        result: { ok: false, error: `Job interrupted ${job.attempts} times` },
+        finishedAt: Date.now(),
+      });
+      await jobStore.release(job.id);
+      continue;
+    }
+    resumable.push(job);
+  }
+
+  const lanes = new Map([[null, { concurrency: JOB_RESUME_CONCURRENCY, jobs: [] }]]);
+  for (const job of resumable) {
+    const laneKey = job.batchId || null;
+    if (!lanes.has(laneKey)) {
+      const batch = await jobStore.get(job.batchId);
+      lanes.set(laneKey, { concurrency: batch?.concurrency || BATCH_DEFAULT_CONCURRENCY, jobs: [] });
+    }
+    lanes.get(laneKey).jobs.push(job);
+  }
+  for (const [batchId, lane] of lanes) {
+    if (!lane.jobs.length) continue;
+    runWithConcurrency(lane.jobs, lane.concurrency, (job) => {
+      console.log(JSON.stringify({ event: "JOB_RESUMED", job_id: job.id, batch_id: batchId, url: job.url, attempts: job.attempts || 0 }));
+      return runScrapeJob(job).catch((err) => {
+        console.log(JSON.stringify({ event: "JOB_RESUME_FAILED", job_id: job.id, error: err?.message || String(err) }));
+      });
+    });
+  }
+
+  // Jobs terminés dont le webhook n'était pas encore livré : reprise des tentatives restantes
+  const undelivered = await jobStore.list((job) => job.status !== "pending" && job.delivery?.status === "pending");
+  for (const candidate of undelivered) {
+    const job = await jobStore.claim(candidate.id);
+    if (!job) continue;
+    if (job.delivery?.status !== "pending") {
+      await jobStore.release(job.id);
+      continue;
+    }
+    console.log(JSON.stringify({ event: "WEBHOOK_RESUMED", job_id: job.id, attempts: job.delivery.attempts.length }));
+    deliverJobCallback(job)
+      .catch((err) => {
+        console.log(JSON.stringify({ event: "WEBHOOK_RESUME_FAILED", job_id: job.id, error: err?.message || String(err) }));
+      })
+      .finally(() => jobStore.release(job.id).catch(() => {}));
+  }
+  return resumable.length;
+}
+
 // POST /scrape-async — démarre le scrape en arrière-plan, répond immédiatement
 app.get("/scrape-async", async (req, res) => {
   const { url, callback_url } = req.query;
+  const legacyPrice = isLegacyPriceRequested(req.query.legacyPrice);
   if (!url) {
     res.status(400).json({ ok: false, error: "Missing url query parameter" });
     return;
@@ -2241,99 +3926,315 @@ app.get("/scrape-async", async (req, res) => {
     res.status(400).json({ ok: false, error: "Invalid or disallowed URL" });
     return;
   }
+  if (callback_url && !isValidCallbackUrl(callback_url)) {
+    res.status(400).json({ ok: false, error: "Invalid callback_url (http or https URL expected)" });
+    return;
+  }
+
+  let scrapeOptions;
+  try {
+    scrapeOptions = readScrapeOptions(req.query);
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+    return;
+  }
 
-  const jobId = generateJobId();
-  jobs.set(jobId, { status: "pending", result: null, createdAt: Date.now(), callback_url });
+  let job;
+  try {
+    job = await jobStore.create({
+      id: generateJobId(),
+      status: "pending",
+      url: `${url}`,
+      options: { scrape: scrapeOptions, legacyPrice },
+      callbackUrl: callback_url ? `${callback_url}` : null,
+      delivery: null,
+      attempts: 0,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message || "Job store unavailable" });
+    return;
+  }
 
   // Lancer le scrape en arrière-plan sans attendre
-  scrapeWithStages(`${url}`)
-    .then(async (result) => {
-      jobs.set(jobId, { status: "done", result, createdAt: jobs.get(jobId)?.createdAt, callback_url });
-      
-      // Si un callback_url est fourni, l'appeler avec le résultat
-      if (callback_url) {
-        try {
-          await axios.post(`${callback_url}`, {
-            job_id: jobId,
-            ok: result.ok,
-            title: result.title || null,
-            price: result.price || null,
-            images: result.images || [],
-            imagesCount: result.imagesCount || 0,
-            url,
-            stage: result.stage,
-            blocked: result.blocked,
-            duration: result.duration,
-            error: result.error || null,
-          }, {
-            timeout: 10000,
-            headers: { "Content-Type": "application/json" }
-          });
-        } catch (err) {
-          console.error(`Webhook callback failed for job ${jobId}:`, err.message);
-        }
-      }
-    })
-    .catch(async (err) => {
-      const errorResult = { ok: false, error: err.message || "Scrape failed" };
-      jobs.set(jobId, {
-        status: "failed",
-        result: errorResult,
-        createdAt: jobs.get(jobId)?.createdAt,
-        callback_url
-      });
-      
-      // Même en cas d'erreur, appeler le callback
-      if (callback_url) {
-        try {
-          await axios.post(`${callback_url}`, {
-            job_id: jobId,
-            ok: false,
-            title: null,
-            price: null,
-            images: [],
-            imagesCount: 0,
-            url,
-            stage: "failed",
-            blocked: false,
-            duration: null,
-            error: err.message || "Scrape failed",
-          }, {
-            timeout: 10000,
-            headers: { "Content-Type": "application/json" }
-          });
-        } catch (callbackErr) {
-          console.error(`Webhook callback failed for job ${jobId}:`, callbackErr.message);
-        }
-      }
-    });
+  runScrapeJob(job).catch((err) => {
+    console.log(JSON.stringify({ event: "JOB_FAILED", job_id: job.id, error: err?.message || String(err) }));
+  });
 
   // Répondre immédiatement avec le job_id
-  res.json({ ok: true, job_id: jobId, status: "pending" });
+  res.json({ ok: true, job_id: job.id, status: "pending" });
 });
 
 // GET /status?job_id=xxx — retourne l'état du scrape
-app.get("/status", (req, res) => {
+// Journal des livraisons du webhook, horodatages en ISO
+function describeJobDelivery(job) {
+  if (!job.callbackUrl) return {};
+  const attempts = (job.delivery?.attempts || []).map((entry) => ({
+    ...entry,
+    at: toIsoTimestamp(entry.at),
+    nextRetryAt: toIsoTimestamp(entry.nextRetryAt),
+  }));
+  return { callback: { url: job.callbackUrl, status: job.delivery?.status || "waiting", attempts } };
+}
+
+app.get("/status", async (req, res) => {
   const { job_id } = req.query;
   if (!job_id) {
     res.status(400).json({ ok: false, error: "Missing job_id query parameter" });
     return;
   }
 
-  const job = jobs.get(`${job_id}`);
+  const job = await jobStore.get(`${job_id}`);
   if (!job) {
     res.status(404).json({ ok: false, error: "Job not found or expired" });
     return;
   }
 
+  const timestamps = {
+    createdAt: toIsoTimestamp(job.createdAt),
+    startedAt: toIsoTimestamp(job.startedAt),
+    finishedAt: toIsoTimestamp(job.finishedAt),
+  };
+  const callback = describeJobDelivery(job);
   if (job.status === "pending") {
-    res.json({ ok: true, job_id, status: "pending" });
+    res.json({ ok: true, job_id, status: "pending", ...timestamps, ...callback });
     return;
   }
 
-  res.json({ ok: true, job_id, status: job.status, result: job.result });
+  res.json({ ok: true, job_id, status: job.status, ...timestamps, ...callback, result: job.result });
 });
 
+// ─── BATCH ────────────────────────────────────────────────────────────────────
+// POST /scrape/batch : tableau JSON d'URLs (chaînes ou { url, ...options }).
+// Par défaut les résultats sont streamés en NDJSON dès qu'ils arrivent ;
+// avec ?async=1, un job par URL est créé et le batch se suit via GET /scrape/batch/:id.
+const BATCH_MAX_URLS = Math.max(1, Number.parseInt(process.env.SCRAPER_BATCH_MAX_URLS || "", 10) || 1000);
+const BATCH_DEFAULT_CONCURRENCY = Math.max(1, Number.parseInt(process.env.SCRAPER_BATCH_CONCURRENCY || "", 10) || 4);
+const BATCH_MAX_CONCURRENCY = 16;
+
+function generateBatchId() {
+  return `batch_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+}
+
+// Valide chaque élément sans rejeter tout le batch : les invalides portent leur erreur
+function parseBatchItems(body) {
+  const rawItems = Array.isArray(body) ? body : Array.isArray(body?.urls) ? body.urls : null;
+  if (!rawItems) throw new Error("Body must be a JSON array of URLs or { urls: [...] }");
+  if (!rawItems.length) throw new Error("Batch is empty");
+  if (rawItems.length > BATCH_MAX_URLS) throw new Error(`Batch is limited to ${BATCH_MAX_URLS} URLs`);
+  const defaults = Array.isArray(body) ? {} : body.options || {};
+  return rawItems.map((rawItem, index) => {
+    const item = typeof rawItem === "string" ? { url: rawItem } : rawItem || {};
+    const source = { ...defaults, ...item };
+    const url = typeof source.url === "string" ? source.url.trim() : "";
+    if (!url) return { index, url: null, error: "Missing url" };
+    if (!isAllowedScrapeUrl(url)) return { index, url, error: "Invalid or disallowed URL" };
+    try {
+      return { index, url, scrapeOptions: readScrapeOptions(source), legacyPrice: isLegacyPriceRequested(source.legacyPrice) };
+    } catch (err) {
+      return { index, url, error: err.message };
+    }
+  });
+}
+
+function readBatchConcurrency(value) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(parsed, BATCH_MAX_CONCURRENCY) : BATCH_DEFAULT_CONCURRENCY;
+}
+
+// Exécute worker(item) avec au plus `concurrency` appels simultanés ; shouldStop() arrête les lancements
+async function runWithConcurrency(items, concurrency, worker, shouldStop = () => false) {
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length && !shouldStop()) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(lanes);
+}
+
+function summarizeBatch(entries) {
+  const summary = { total: entries.length, succeeded: 0, failed: 0, invalid: 0, pending: 0 };
+  for (const entry of entries) {
+    if (entry.status === "invalid") summary.invalid++;
+    else if (entry.status === "pending") summary.pending++;
+    else if (entry.ok) summary.succeeded++;
+    else summary.failed++;
+  }
+  return summary;
+}
+
+async function runStreamingBatch(req, res, items, concurrency) {
+  const batchStart = performance.now();
+  let clientGone = false;
+  const clientController = new AbortController();
+  res.on("close", () => {
+    clientGone = !res.writableEnded;
+    if (clientGone) clientController.abort(createAbortReason("CLIENT_DISCONNECTED", "Client disconnected"));
+  });
+  res.status(200).set({ "Content-Type": "application/x-ndjson; charset=utf-8", "Cache-Control": "no-store" });
+  res.flushHeaders?.();
+
+  const entries = [];
+  const writeLine = (line) => {
+    if (!clientGone) res.write(`${JSON.stringify(line)}\n`);
+  };
+
+  // Les éléments invalides sortent tout de suite
+  for (const item of items.filter((candidate) => candidate.error)) {
+    entries.push({ status: "invalid", ok: false });
+    writeLine({ type: "result", index: item.index, url: item.url, ok: false, status: "invalid", error: item.error });
+  }
+
+  await runWithConcurrency(items.filter((item) => !item.error), concurrency, async (item) => {
+    try {
+      const scrapeResult = await scrapeWithCache(item.url, { ...item.scrapeOptions, priority: "background", signal: clientController.signal });
+      const result = item.legacyPrice ? applyLegacyPriceFormat(scrapeResult) : scrapeResult;
+      entries.push({ status: "done", ok: Boolean(result.ok) });
+      writeLine({ type: "result", index: item.index, url: item.url, ok: Boolean(result.ok), status: "done", result });
+    } catch (err) {
+      entries.push({ status: "failed", ok: false });
+      writeLine({ type: "result", index: item.index, url: item.url, ok: false, status: "failed", error: err.message || "Scrape failed" });
+    }
+  }, () => clientGone);
+
+  const summary = summarizeBatch(entries);
+  console.log(JSON.stringify({ event: "BATCH_DONE", mode: "stream", ...summary, clientGone, durationSeconds: roundDuration((performance.now() - batchStart) / 1000) }));
+  writeLine({ type: "summary", ...summary, total: items.length, durationSeconds: roundDuration((performance.now() - batchStart) / 1000) });
+  if (!clientGone) res.end();
+}
+
+async function startAsyncBatch(res, items, concurrency) {
+  const batchId = generateBatchId();
+  const createdAt = Date.now();
+  const itemRecords = [];
+  const jobsToRun = [];
+  for (const item of items) {
+    if (item.error) {
+      itemRecords.push({ index: item.index, url: item.url, job_id: null, error: item.error });
+      continue;
+    }
+    const job = await jobStore.create({
+      id: generateJobId(),
+      status: "pending",
+      url: item.url,
+      options: { scrape: item.scrapeOptions, legacyPrice: item.legacyPrice },
+      callbackUrl: null,
+      batchId,
+      attempts: 0,
+      createdAt,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+    });
+    jobsToRun.push(job);
+    itemRecords.push({ index: item.index, url: item.url, job_id: job.id, error: null });
+  }
+  // Le batch est un index des jobs ; il passe à "done" quand tous ses jobs sont terminés
+  await jobStore.create({
+    id: batchId, type: "batch", status: "pending", items: itemRecords, concurrency,
+    createdAt, startedAt: createdAt, finishedAt: null, result: null,
+  });
+
+  if (!jobsToRun.length) await refreshBatchStatus(batchId);
+  runWithConcurrency(jobsToRun, concurrency, (job) => runScrapeJob(job))
+    .catch((err) => {
+      console.log(JSON.stringify({ event: "BATCH_FAILED", batch_id: batchId, error: err?.message || String(err) }));
+    });
+
+  res.status(202).json({
+    ok: true, batch_id: batchId, status: "pending",
+    total: items.length, accepted: jobsToRun.length, invalid: items.length - jobsToRun.length,
+  });
+}
+
+// Agrège l'état des jobs du batch (et le marque "done" quand plus rien n'est en cours)
+async function refreshBatchStatus(batchId) {
+  const batch = await jobStore.get(batchId);
+  if (!batch || batch.type !== "batch") return null;
+  const items = [];
+  for (const record of batch.items) {
+    if (!record.job_id) {
+      items.push({ index: record.index, url: record.url, status: "invalid", ok: false, error: record.error });
+      continue;
+    }
+    const job = await jobStore.get(record.job_id);
+    if (!job) {
+      items.push({ index: record.index, url: record.url, job_id: record.job_id, status: "expired", ok: false, error: "Job expired" });
+      continue;
+    }
+    items.push({
+      index: record.index, url: record.url, job_id: job.id, status: job.status,
+      ok: job.status === "done" ? Boolean(job.result?.ok) : false,
+      ...(job.status === "pending" ? {} : { result: job.result }),
+    });
+  }
+  const summary = summarizeBatch(items);
+  if (batch.status === "pending" && summary.pending === 0) {
+    await jobStore.update(batchId, { status: "done", finishedAt: Date.now() });
+    console.log(JSON.stringify({ event: "BATCH_DONE", mode: "async", batch_id: batchId, ...summary }));
+  }
+  const current = await jobStore.get(batchId);
+  return { batch: current, items, summary };
+}
+
+app.post("/scrape/batch", express.json({ limit: "5mb" }), async (req, res) => {
+  let items;
+  try {
+    items = parseBatchItems(req.body);
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message });
+    return;
+  }
+  const concurrency = readBatchConcurrency(req.query.concurrency ?? req.body?.concurrency);
+  try {
+    if (isFlagEnabled(req.query.async) || isFlagEnabled(req.body?.async)) {
+      await startAsyncBatch(res, items, concurrency);
+    } else {
+      await runStreamingBatch(req, res, items, concurrency);
+    }
+  } catch (err) {
+    if (!res.headersSent) res.status(500).json({ ok: false, error: err.message || "Batch failed" });
+    else res.end();
+  }
+});
+
+// GET /scrape/batch/:id — état du batch, résultats des URLs terminées
+app.get("/scrape/batch/:id", async (req, res) => {
+  const state = await refreshBatchStatus(req.params.id);
+  if (!state) {
+    res.status(404).json({ ok: false, error: "Batch not found or expired" });
+    return;
+  }
+  res.json({
+    ok: true,
+    batch_id: state.batch.id,
+    status: state.batch.status,
+    createdAt: toIsoTimestamp(state.batch.createdAt),
+    finishedAt: toIsoTimestamp(state.batch.finishedAt),
+    ...state.summary,
+    items: state.items,
+  });
+});
+
+const resumedJobs = await resumePendingJobs();
+if (resumedJobs > 0) console.log(JSON.stringify({ event: "JOBS_RESUME", count: resumedJobs, store: jobStore.name }));
+// Journal partagé : les jobs d'une instance tuée sont repris à l'expiration de leur bail
+if (jobStore.name === "file") {
+  setInterval(async () => {
+    try {
+      const count = await resumePendingJobs();
+      if (count > 0) console.log(JSON.stringify({ event: "JOBS_RESUME", count, store: jobStore.name }));
+    } catch (err) {
+      console.log(JSON.stringify({ event: "JOBS_RESUME_FAILED", error: err?.message || String(err) }));
+    }
+  }, jobStore.leaseMs).unref();
+}
+
 const portValue = process.env.PORT;
 let PORT = Number.parseInt(`${portValue ?? ""}`.trim(), 10);
 if (!Number.isFinite(PORT) || PORT <= 0) PORT = 8080;
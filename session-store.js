@@ -0,0 +1,223 @@
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import toughCookie from "tough-cookie";
+import { hostnameOf } from "./hostname-patterns.js";
+
+const { CookieJar, Cookie } = toughCookie;
+
+// ─── SESSIONS PAR DOMAINE (cookies partagés axios / Puppeteer) ────────────────
+// Un CookieJar tough-cookie par domaine (sans "www."), lu et alimenté par les
+// stages HTTP (Set-Cookie, redirections comprises) et par les pages Puppeteer :
+// les cookies de consentement et d'anti-bot obtenus par un stage servent au suivant.
+// Une session expire SCRAPER_SESSION_TTL_MS après sa dernière mise à jour.
+// Stockage : mémoire par défaut, un fichier JSON par domaine avec SCRAPER_SESSION_STORE=file.
+
+function readInteger(value, fallback) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+export function sessionKeyFor(url) {
+  const hostname = hostnameOf(url);
+  return hostname ? hostname.replace(/^www\./, "") : null;
+}
+
+export class MemorySessionBackend {
+  constructor() {
+    this.name = "memory";
+  }
+
+  async load() {
+    return null;
+  }
+
+  async save() {}
+
+  async delete() {}
+}
+
+export class FileSessionBackend {
+  constructor(dir) {
+    this.name = "file";
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key.replace(/[^a-z0-9.-]/gi, "_")}.json`);
+  }
+
+  async load(key) {
+    try {
+      const stored = JSON.parse(await fs.readFile(this.filePath(key), "utf8"));
+      return stored.key === key ? stored : null;
+    } catch (err) {
+      if (err?.code === "ENOENT" || err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
+
+  async save(key, record) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const target = this.filePath(key);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ key, ...record }));
+    await fs.rename(temp, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this.filePath(key), { force: true });
+  }
+}
+
+export function createSessionBackend(kind = process.env.SCRAPER_SESSION_STORE || "memory") {
+  if (kind === "file") {
+    return new FileSessionBackend(process.env.SCRAPER_SESSION_DIR || path.join(os.tmpdir(), "feednly-scraper-sessions"));
+  }
+  if (kind !== "memory") throw new Error(`Unknown SCRAPER_SESSION_STORE "${kind}" (memory or file)`);
+  return new MemorySessionBackend();
+}
+
+// Cookie Puppeteer ({ name, value, domain, expires en secondes… }) → Cookie tough-cookie
+function fromBrowserCookie(cookie) {
+  const domain = `${cookie.domain || ""}`.replace(/^\./, "");
+  return new Cookie({
+    key: cookie.name,
+    value: cookie.value,
+    domain,
+    path: cookie.path || "/",
+    expires: cookie.expires > 0 ? new Date(cookie.expires * 1000) : "Infinity",
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    hostOnly: !`${cookie.domain || ""}`.startsWith("."),
+    sameSite: cookie.sameSite ? `${cookie.sameSite}`.toLowerCase() : undefined,
+  });
+}
+
+// Cookie host-only : url plutôt que domain, que Chrome élargirait aux sous-domaines
+function toBrowserCookie(cookie) {
+  const expires = cookie.expiryTime();
+  return {
+    name: cookie.key,
+    value: cookie.value,
+    ...(cookie.hostOnly
+      ? { url: `${cookie.secure ? "https" : "http"}://${cookie.domain}${cookie.path || "/"}` }
+      : { domain: `.${cookie.domain}`, path: cookie.path || "/" }),
+    ...(Number.isFinite(expires) ? { expires: Math.floor(expires / 1000) } : {}),
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure),
+    ...(cookie.sameSite && cookie.sameSite !== "none" ? { sameSite: cookie.sameSite === "strict" ? "Strict" : "Lax" } : {}),
+  };
+}
+
+export function createSessionStore({
+  backend = createSessionBackend(),
+  ttlMs = readInteger(process.env.SCRAPER_SESSION_TTL_MS, 30 * 60 * 1000),
+} = {}) {
+  const sessions = new Map();
+  const counters = { opened: 0, restored: 0, expired: 0, cleared: 0, saveErrors: 0 };
+  const enabled = ttlMs > 0;
+
+  // Poignée synchrone sur le jar (MemoryCookieStore) : utilisable dans beforeRedirect
+  function createHandle(key, entry) {
+    return {
+      key,
+      cookieHeader(url) {
+        try {
+          return entry.jar.getCookieStringSync(url);
+        } catch {
+          return "";
+        }
+      },
+      storeSetCookies(url, setCookie) {
+        const lines = Array.isArray(setCookie) ? setCookie : setCookie ? [setCookie] : [];
+        for (const line of lines) entry.jar.setCookieSync(line, url, { ignoreError: true });
+        if (lines.length) entry.dirty = true;
+      },
+      browserCookies(url) {
+        try {
+          return entry.jar.getCookiesSync(url).map(toBrowserCookie);
+        } catch {
+          return [];
+        }
+      },
+      storeBrowserCookies(cookies = []) {
+        for (const cookie of cookies) {
+          if (!cookie?.name || !cookie.domain) continue;
+          const url = `https://${`${cookie.domain}`.replace(/^\./, "")}${cookie.path || "/"}`;
+          entry.jar.setCookieSync(fromBrowserCookie(cookie), url, { ignoreError: true });
+          entry.dirty = true;
+        }
+      },
+      // Prolonge la session et la persiste si des cookies ont changé
+      async save() {
+        if (!entry.dirty) return;
+        entry.dirty = false;
+        entry.expiresAt = Date.now() + ttlMs;
+        try {
+          await backend.save(key, { expiresAt: entry.expiresAt, jar: entry.jar.serializeSync() });
+        } catch (err) {
+          counters.saveErrors++;
+          console.log(JSON.stringify({ event: "SESSION_SAVE_FAILED", domain: key, error: err?.message || String(err) }));
+        }
+      },
+    };
+  }
+
+  return {
+    enabled,
+    backend,
+    ttlMs,
+
+    // Session du domaine de url (créée ou relue depuis le stockage) ; null si désactivé
+    async open(url) {
+      if (!enabled) return null;
+      const key = sessionKeyFor(url);
+      if (!key) return null;
+      const now = Date.now();
+      let entry = sessions.get(key);
+      if (entry && entry.expiresAt <= now) {
+        sessions.delete(key);
+        counters.expired++;
+        entry = null;
+      }
+      if (!entry) {
+        const stored = await backend.load(key).catch(() => null);
+        if (stored && stored.expiresAt > now) {
+          entry = { jar: CookieJar.deserializeSync(stored.jar), expiresAt: stored.expiresAt, dirty: false };
+          counters.restored++;
+        } else {
+          entry = { jar: new CookieJar(), expiresAt: now + ttlMs, dirty: false };
+          counters.opened++;
+        }
+        sessions.set(key, entry);
+      }
+      return createHandle(key, entry);
+    },
+
+    // Oublie la session d'un domaine (www. ignoré) ; renvoie true si elle existait
+    async clear(domain) {
+      const key = sessionKeyFor(`https://${`${domain || ""}`.trim()}/`);
+      if (!key) return false;
+      const existed = sessions.delete(key) || Boolean(await backend.load(key).catch(() => null));
+      await backend.delete(key);
+      if (existed) counters.cleared++;
+      return existed;
+    },
+
+    list() {
+      const now = Date.now();
+      return Array.from(sessions.entries())
+        .filter(([, entry]) => entry.expiresAt > now)
+        .map(([domain, entry]) => ({
+          domain,
+          cookies: entry.jar.serializeSync().cookies.length,
+          expiresAt: new Date(entry.expiresAt).toISOString(),
+        }));
+    },
+
+    stats() {
+      return { enabled, store: backend.name, ttlMs, active: this.list().length, ...counters };
+    },
+  };
+}
@@ -0,0 +1,151 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+import { compileHostnamePattern, hostnameMatches, hostnameOf } from "./hostname-patterns.js";
+
+// ─── PROFILS PAR SITE ─────────────────────────────────────────────────────────
+// Chaque profil (JSON ou YAML) décrit les particularités d'un retailer :
+// hostnames, sélecteurs titre/prix/images, URLs d'images autorisées/refusées,
+// bonus de score et regex de prix dans les scripts embarqués.
+// Les fichiers sont lus dans SCRAPER_SITE_PROFILES_DIR (défaut : ./profiles).
+
+const DEFAULT_PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "profiles");
+const PROFILE_EXTENSIONS = new Set([".json", ".yaml", ".yml"]);
+
+const EMPTY_SITE_PROFILE = Object.freeze({
+  name: null,
+  hostnames: [],
+  selectors: { title: [], price: [], images: [] },
+  images: {
+    allow: [], deny: [], marketing: [], boosts: [], looksLikeImage: [], excludeClasses: [], preload: null,
+  },
+  priceScripts: [],
+});
+
+let siteProfiles = [];
+
+function compilePattern(value, flags = "i") {
+  if (value instanceof RegExp) return value;
+  return new RegExp(`${value}`, flags);
+}
+
+function compilePatterns(values) {
+  return (Array.isArray(values) ? values : values ? [values] : []).map((value) => compilePattern(value));
+}
+
+function toStringList(values) {
+  return (Array.isArray(values) ? values : values ? [values] : []).map((value) => `${value}`.trim()).filter(Boolean);
+}
+
+function compileSiteProfile(raw, origin) {
+  if (!raw || typeof raw !== "object") throw new Error(`Invalid site profile in ${origin}`);
+  const name = `${raw.name || path.basename(origin, path.extname(origin))}`;
+  const hostnames = toStringList(raw.hostnames);
+  if (!hostnames.length) throw new Error(`Site profile "${name}" has no hostnames (${origin})`);
+  const images = raw.images || {};
+  const preload = images.preload?.pattern
+    ? {
+      pattern: compilePattern(images.preload.pattern),
+      score: Number(images.preload.score) || 0,
+      highPriorityScore: Number(images.preload.highPriorityScore ?? images.preload.score) || 0,
+    }
+    : null;
+  return {
+    name,
+    origin,
+    hostnames: hostnames.map(compileHostnamePattern),
+    selectors: {
+      title: toStringList(raw.selectors?.title),
+      price: toStringList(raw.selectors?.price),
+      images: toStringList(raw.selectors?.images),
+    },
+    images: {
+      allow: compilePatterns(images.allow),
+      deny: compilePatterns(images.deny),
+      marketing: compilePatterns(images.marketing),
+      boosts: (images.boosts || []).map((boost) => ({
+        pattern: compilePattern(boost.pattern),
+        score: Number(boost.score) || 0,
+        bypassMarketing: Boolean(boost.bypassMarketing),
+      })),
+      looksLikeImage: compilePatterns(images.looksLikeImage),
+      excludeClasses: toStringList(images.excludeClasses),
+      preload,
+    },
+    priceScripts: (raw.priceScripts || []).map((script) => ({
+      contains: toStringList(script.contains),
+      pattern: compilePattern(script.pattern, "g"),
+      currency: script.currency ? `${script.currency}`.trim() : null,
+    })),
+  };
+}
+
+async function readProfileFile(filePath) {
+  const content = await fs.readFile(filePath, "utf8");
+  const parsed = path.extname(filePath) === ".json" ? JSON.parse(content) : YAML.parse(content);
+  // Un fichier peut contenir un profil ou une liste de profils
+  return (Array.isArray(parsed) ? parsed : [parsed]).map((raw) => compileSiteProfile(raw, filePath));
+}
+
+export async function loadSiteProfiles(dir = process.env.SCRAPER_SITE_PROFILES_DIR || DEFAULT_PROFILES_DIR) {
+  let entries = [];
+  try {
+    entries = await fs.readdir(dir);
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw err;
+  }
+  const loaded = [];
+  for (const entry of entries.sort()) {
+    if (!PROFILE_EXTENSIONS.has(path.extname(entry).toLowerCase())) continue;
+    loaded.push(...await readProfileFile(path.join(dir, entry)));
+  }
+  siteProfiles = loaded;
+  return siteProfiles;
+}
+
+export function listSiteProfiles() {
+  return siteProfiles.map((profile) => ({
+    name: profile.name,
+    origin: profile.origin,
+    hostnames: profile.hostnames.map((pattern) => pattern.source),
+  }));
+}
+
+// Profil du site de la page (pas de l'URL d'image) — EMPTY_SITE_PROFILE si aucun
+export function resolveSiteProfile(pageUrl) {
+  const hostname = hostnameOf(pageUrl);
+  if (!hostname) return EMPTY_SITE_PROFILE;
+  return siteProfiles.find((profile) => profile.hostnames.some((pattern) => hostnameMatches(hostname, pattern)))
+    || EMPTY_SITE_PROFILE;
+}
+
+export function isProfileAllowedImage(profile, url) {
+  return profile.images.allow.some((pattern) => pattern.test(url));
+}
+
+export function isProfileDeniedImage(profile, url) {
+  return profile.images.deny.some((pattern) => pattern.test(url));
+}
+
+export function isProfileMarketingImage(profile, url) {
+  return profile.images.marketing.some((pattern) => pattern.test(url));
+}
+
+export function bypassesMarketingFilter(profile, url) {
+  return profile.images.boosts.some((boost) => boost.bypassMarketing && boost.pattern.test(url));
+}
+
+export function computeProfileImageBoost(profile, url) {
+  return profile.images.boosts.reduce((total, boost) => (boost.pattern.test(url) ? total + boost.score : total), 0);
+}
+
+export function looksLikeProfileImage(profile, url) {
+  return profile.images.looksLikeImage.some((pattern) => pattern.test(url));
+}
+
+export function hasExcludedImageClass(profile, el) {
+  return profile.images.excludeClasses.some((className) => el.hasClass(className));
+}
+
+export { EMPTY_SITE_PROFILE };
@@ -0,0 +1,147 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+import { compileHostnamePattern, hostnameMatches, hostnameOf } from "./hostname-patterns.js";
+import { MERGEABLE_FIELDS } from "./result-merge.js";
+
+// ─── ROUTAGE DES STAGES PAR DOMAINE ───────────────────────────────────────────
+// routing.yaml (ou SCRAPER_ROUTING_CONFIG) décrit, par motif de domaine :
+// l'ordre des stages, leurs timeouts, les stages payants et interdits, et les
+// champs requis avant d'arrêter le pipeline (les résultats partiels sont fusionnés).
+// Rechargeable à chaud (POST /admin/routing/reload ou SIGHUP).
+
+export const STAGE_NAMES = ["shopify_api", "stage0", "stage1", "apify", "stage3", "stage4"];
+
+const DEFAULT_ROUTING_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "routing.yaml");
+
+const BUILTIN_DEFAULTS = Object.freeze({
+  stages: STAGE_NAMES,
+  timeouts: { stage0: 8000, stage1: 15000, stage3: 30000, stage4: 45000 },
+  paid: ["apify", "stage3", "stage4"],
+  // L'acteur Apify (API mobile Sephora) ne sert que sur Sephora
+  forbidden: ["apify"],
+  allowPaid: true,
+  // Mêmes valeurs que routing.yaml (vérifié par test/stage-routing.test.js)
+  requiredFields: ["title", "images", "price"],
+  paidForPartial: false,
+});
+
+// Routage historique (domaines non supportés, Apify sur Sephora) quand routing.yaml
+// est absent du chemin par défaut
+const BUILTIN_ROUTING = Object.freeze({
+  defaults: BUILTIN_DEFAULTS,
+  domains: [
+    { name: "unsupported", match: ["chanel.com", "maybelline.fr", "maybelline.com", "guerlain.com"], unsupported: true },
+    { name: "sephora", match: ["sephora.fr", "sephora.com", "sephora.es", "sephora.it", "sephora.pl", "sephora.pt", "sephora.cz"], forbidden: [] },
+  ],
+});
+
+let routingConfig = compileRoutingConfig(BUILTIN_ROUTING, "builtin");
+
+function toStageList(values, where) {
+  const list = (Array.isArray(values) ? values : values ? [values] : []).map((value) => `${value}`.trim()).filter(Boolean);
+  const unknown = list.filter((stage) => !STAGE_NAMES.includes(stage));
+  if (unknown.length) throw new Error(`Unknown stage(s) ${unknown.join(", ")} in ${where}`);
+  return list;
+}
+
+function toFieldList(values, where) {
+  const list = (Array.isArray(values) ? values : values ? [values] : []).map((value) => `${value}`.trim()).filter(Boolean);
+  const unknown = list.filter((field) => !MERGEABLE_FIELDS.includes(field));
+  if (unknown.length) throw new Error(`Unknown field(s) ${unknown.join(", ")} in ${where}`);
+  return list;
+}
+
+function toTimeouts(values, where) {
+  const timeouts = {};
+  for (const [stage, value] of Object.entries(values || {})) {
+    if (!STAGE_NAMES.includes(stage)) throw new Error(`Unknown stage ${stage} in ${where}.timeouts`);
+    const ms = value === null ? null : Number.parseInt(`${value}`, 10);
+    if (ms !== null && (!Number.isFinite(ms) || ms <= 0)) throw new Error(`Invalid timeout for ${stage} in ${where}`);
+    timeouts[stage] = ms;
+  }
+  return timeouts;
+}
+
+// Réglages partiels : seules les clés présentes surchargent les défauts
+function compileRouteSettings(raw, where) {
+  const settings = {};
+  if (raw.stages !== undefined) settings.stages = toStageList(raw.stages, `${where}.stages`);
+  if (raw.timeouts !== undefined) settings.timeouts = toTimeouts(raw.timeouts, where);
+  if (raw.paid !== undefined) settings.paid = toStageList(raw.paid, `${where}.paid`);
+  if (raw.forbidden !== undefined) settings.forbidden = toStageList(raw.forbidden, `${where}.forbidden`);
+  if (raw.allowPaid !== undefined) settings.allowPaid = Boolean(raw.allowPaid);
+  if (raw.unsupported !== undefined) settings.unsupported = Boolean(raw.unsupported);
+  if (raw.requiredFields !== undefined) settings.requiredFields = toFieldList(raw.requiredFields, `${where}.requiredFields`);
+  if (raw.paidForPartial !== undefined) settings.paidForPartial = Boolean(raw.paidForPartial);
+  return settings;
+}
+
+function compileRoutingConfig(raw, origin) {
+  if (raw !== null && typeof raw !== "object") throw new Error(`Invalid routing config in ${origin}`);
+  const defaults = {
+    ...compileRouteSettings(BUILTIN_DEFAULTS, "defaults"),
+    ...compileRouteSettings(raw?.defaults || {}, "defaults"),
+  };
+  defaults.timeouts = { ...BUILTIN_DEFAULTS.timeouts, ...defaults.timeouts };
+  const routes = (raw?.domains || []).map((route, index) => {
+    const name = `${route?.name || `domains[${index}]`}`;
+    const match = (Array.isArray(route?.match) ? route.match : route?.match ? [route.match] : [])
+      .map((value) => `${value}`.trim()).filter(Boolean);
+    if (!match.length) throw new Error(`Route "${name}" has no match patterns (${origin})`);
+    return { name, match, patterns: match.map(compileHostnamePattern), settings: compileRouteSettings(route, name) };
+  });
+  return { origin, loadedAt: new Date().toISOString(), defaults, routes };
+}
+
+// Un fichier invalide lève une erreur et laisse la config précédente en place.
+// Seul le routing.yaml par défaut peut manquer (routage intégré) : un chemin
+// configuré (argument ou SCRAPER_ROUTING_CONFIG) introuvable est une erreur.
+export async function loadStageRouting(filePath = process.env.SCRAPER_ROUTING_CONFIG || null) {
+  const target = filePath || DEFAULT_ROUTING_PATH;
+  let content = null;
+  try {
+    content = await fs.readFile(target, "utf8");
+  } catch (err) {
+    if (err?.code !== "ENOENT") throw err;
+    if (filePath) throw new Error(`Routing config ${filePath} not found`);
+  }
+  routingConfig = content === null
+    ? compileRoutingConfig(BUILTIN_ROUTING, "builtin")
+    : compileRoutingConfig(path.extname(target) === ".json" ? JSON.parse(content) : YAML.parse(content), target);
+  return describeStageRouting();
+}
+
+export function describeStageRouting() {
+  return {
+    origin: routingConfig.origin,
+    loadedAt: routingConfig.loadedAt,
+    defaults: routingConfig.defaults,
+    routes: routingConfig.routes.map((route) => ({ name: route.name, match: route.match, ...route.settings })),
+  };
+}
+
+// Plan d'exécution pour une URL : premier motif de domaine qui correspond
+export function resolveStagePlan(pageUrl) {
+  const hostname = hostnameOf(pageUrl);
+  const route = hostname
+    ? routingConfig.routes.find((candidate) => candidate.patterns.some((pattern) => hostnameMatches(hostname, pattern)))
+    : null;
+  const settings = { ...routingConfig.defaults, ...(route?.settings || {}) };
+  const timeouts = { ...routingConfig.defaults.timeouts, ...(route?.settings.timeouts || {}) };
+  const paid = new Set(settings.paid);
+  const forbidden = new Set(settings.forbidden);
+  const stages = settings.stages.filter((stage) => !forbidden.has(stage) && (settings.allowPaid || !paid.has(stage)));
+  return {
+    route: route?.name || "default",
+    unsupported: Boolean(settings.unsupported),
+    stages,
+    timeouts,
+    requiredFields: settings.requiredFields,
+    // Un stage payant ne sert qu'à compléter un résultat partiel si la route l'autorise
+    paidForPartial: settings.paidForPartial,
+    isPaid: (stage) => paid.has(stage),
+    timeoutFor: (stage) => timeouts[stage] ?? null,
+  };
+}
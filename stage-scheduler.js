@@ -0,0 +1,123 @@
+import { performance } from "node:perf_hooks";
+
+// ─── ORDONNANCEUR DES STAGES ──────────────────────────────────────────────────
+// Un pool par type de ressource, chacun avec sa limite de concurrence :
+//   http    : shopify_api, stage0 (axios)
+//   browser : stage1 (pages Puppeteer sur le navigateur partagé)
+//   paid    : stages payants du routage (Apify, BrightData)
+// Les appels interactifs (/scrape) passent devant les jobs de fond (/scrape-async).
+// Un appel annulé (signal) pendant qu'il attend quitte la file sans jamais démarrer.
+
+export const SCRAPE_PRIORITIES = ["interactive", "background"];
+
+function readLimit(value, fallback) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+export function createStageScheduler({
+  http = readLimit(process.env.SCRAPER_HTTP_CONCURRENCY, 16),
+  browser = readLimit(process.env.SCRAPER_BROWSER_CONCURRENCY, 3),
+  paid = readLimit(process.env.SCRAPER_PAID_CONCURRENCY, 4),
+} = {}) {
+  const pools = {};
+  for (const [name, limit] of Object.entries({ http, browser, paid })) {
+    pools[name] = { name, limit, active: 0, queue: [], completed: 0, cancelled: 0, totalWaitMs: 0, maxWaitMs: 0 };
+  }
+
+  function pump(pool) {
+    while (pool.active < pool.limit && pool.queue.length) {
+      const next = pool.queue.shift();
+      pool.active++;
+      next.start();
+    }
+  }
+
+  // Renvoie la position dans la file (1 = prochain servi, 0 = démarré tout de suite)
+  // et la promesse de son démarrage, rejetée (et l'élément retiré) si signal est annulé
+  function enqueue(pool, priority, signal) {
+    const item = { rank: priority === "background" ? 1 : 0, start: null };
+    let onAbort = null;
+    const started = new Promise((resolve, reject) => {
+      item.start = () => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      };
+      onAbort = () => {
+        const index = pool.queue.indexOf(item);
+        if (index === -1) return;
+        pool.queue.splice(index, 1);
+        pool.cancelled++;
+        reject(signal.reason);
+      };
+    });
+    // Derrière les éléments de même priorité, devant ceux de priorité inférieure
+    const index = pool.queue.findIndex((queued) => queued.rank > item.rank);
+    const ahead = index === -1 ? pool.queue.length : index;
+    pool.queue.splice(ahead, 0, item);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    pump(pool);
+    return { position: pool.queue.includes(item) ? ahead + 1 : 0, started };
+  }
+
+  function release(pool) {
+    pool.active--;
+    pool.completed++;
+    pump(pool);
+  }
+
+  // Attend une place ; renvoie { release, waitMs, queueDepth }. release() doit être
+  // appelé une fois le travail vraiment terminé. Rejette avec signal.reason si
+  // l'appel est annulé avant d'obtenir sa place.
+  async function acquire(poolName, priority, { signal = null } = {}) {
+    const pool = pools[poolName];
+    if (!pool) throw new Error(`Unknown scheduler pool ${poolName}`);
+    if (signal?.aborted) throw signal.reason;
+    const enqueuedAt = performance.now();
+    const { position: queueDepth, started } = enqueue(pool, priority, signal);
+    await started;
+    const waitMs = Math.round(performance.now() - enqueuedAt);
+    pool.totalWaitMs += waitMs;
+    pool.maxWaitMs = Math.max(pool.maxWaitMs, waitMs);
+    let released = false;
+    return {
+      waitMs,
+      queueDepth,
+      release() {
+        if (released) return;
+        released = true;
+        release(pool);
+      },
+    };
+  }
+
+  return {
+    acquire,
+
+    // Exécute fn dès qu'une place se libère ; renvoie { value, waitMs, queueDepth }
+    async run(poolName, priority, fn, { signal = null } = {}) {
+      const slot = await acquire(poolName, priority, { signal });
+      try {
+        // Annulé au moment même où la place se libère : fn ne démarre pas
+        if (signal?.aborted) throw signal.reason;
+        return { value: await fn(), waitMs: slot.waitMs, queueDepth: slot.queueDepth };
+      } finally {
+        slot.release();
+      }
+    },
+
+    stats() {
+      return Object.fromEntries(Object.values(pools).map((pool) => [pool.name, {
+        limit: pool.limit,
+        active: pool.active,
+        queued: pool.queue.length,
+        queuedInteractive: pool.queue.filter((item) => item.rank === 0).length,
+        queuedBackground: pool.queue.filter((item) => item.rank === 1).length,
+        completed: pool.completed,
+        cancelled: pool.cancelled,
+        averageWaitMs: pool.completed ? Math.round(pool.totalWaitMs / pool.completed) : 0,
+        maxWaitMs: pool.maxWaitMs,
+      }]));
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeAntiBotBlock, detectAntiBot, summarizeAntiBot } from "../anti-bot.js";
+
+const productPage = `<html><head><title>Sac cabas</title></head><body>${"<p>Description produit</p>".repeat(20)}</body></html>`;
+
+test("a normal page without vendor traces is neither blocked nor attributed", () => {
+  const detection = detectAntiBot({ status: 200, headers: { "content-type": "text/html" }, html: productPage });
+  assert.deepEqual(detection, { blocked: false, vendors: [], blockingVendors: [], reasons: [], status: 200 });
+  assert.equal(summarizeAntiBot(detection), null);
+});
+
+test("vendor cookies and headers on a 200 page mean presence, not a block", () => {
+  const detection = detectAntiBot({
+    status: 200,
+    headers: { server: "AkamaiGHost", "set-cookie": ["_abck=abc; Path=/", "bm_sz=xyz; Path=/"] },
+    cookies: [{ name: "datadome", value: "1" }],
+    html: productPage,
+  });
+  assert.equal(detection.blocked, false);
+  assert.deepEqual(detection.vendors.sort(), ["akamai", "datadome"]);
+  assert.deepEqual(detection.blockingVendors, []);
+  assert.ok(detection.reasons.includes("akamai:header:server"));
+  assert.ok(detection.reasons.includes("akamai:cookie:_abck"));
+  assert.ok(detection.reasons.includes("datadome:cookie:datadome"));
+});
+
+test("a DataDome captcha page is a block by DataDome", () => {
+  const html = "<html><script>var dd={'rt':'c','cid':'x','host':'geo.captcha-delivery.com'}</script></html>";
+  const detection = detectAntiBot({ status: 403, headers: { "x-datadome": "protected" }, html });
+  assert.equal(detection.blocked, true);
+  assert.deepEqual(detection.blockingVendors, ["datadome"]);
+  assert.ok(detection.reasons.includes("datadome:challenge"));
+  assert.ok(detection.reasons.includes("http-403"));
+  assert.equal(describeAntiBotBlock("stage0", detection), "stage0 blocked by datadome");
+});
+
+test("a Cloudflare interstitial is detected from the page alone", () => {
+  const html = "<html><head><title>Just a moment...</title></head><body><div id='cf-chl-widget'></div></body></html>";
+  const detection = detectAntiBot({ status: 200, headers: { "cf-ray": "8a-CDG" }, html });
+  assert.equal(detection.blocked, true);
+  assert.deepEqual(detection.blockingVendors, ["cloudflare"]);
+});
+
+test("blocking headers count even on a rich page", () => {
+  const detection = detectAntiBot({ status: 200, headers: { "cf-mitigated": "challenge" }, html: productPage.repeat(200) });
+  assert.equal(detection.blocked, true);
+  assert.deepEqual(detection.blockingVendors, ["cloudflare"]);
+});
+
+test("challenge markup inside a large product page is not a block", () => {
+  const html = `<script src="https://client.px-cloud.net/PX123/main.min.js"></script><div id="px-captcha"></div>${productPage.repeat(200)}`;
+  const detection = detectAntiBot({ status: 200, html });
+  assert.equal(detection.blocked, false);
+  assert.deepEqual(detection.vendors, ["perimeterx"]);
+});
+
+test("an unsigned 429 or a generic access-denied page is still a block", () => {
+  const rateLimited = detectAntiBot({ status: 429, html: "" });
+  assert.equal(rateLimited.blocked, true);
+  assert.deepEqual(rateLimited.reasons, ["http-429"]);
+  assert.equal(describeAntiBotBlock("stage3", rateLimited), "stage3 blocked by HTTP 429");
+
+  const denied = detectAntiBot({ status: 200, html: "<html><head><title>Access Denied</title></head></html>" });
+  assert.equal(denied.blocked, true);
+  assert.deepEqual(denied.reasons, ["generic-block-page"]);
+});
+
+test("Headers instances and Set-Cookie lines are read too", () => {
+  const headers = new Headers({ "x-iinfo": "10-123", "set-cookie": "incap_ses_123=abc; path=/" });
+  const detection = detectAntiBot({ status: 200, headers, html: productPage });
+  assert.deepEqual(detection.vendors, ["imperva"]);
+  assert.ok(detection.reasons.includes("imperva:cookie:incap_ses_123"));
+});
@@ -0,0 +1,185 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CONSENT_ACTIONS, CONSENT_MANAGERS, createConsentHandler } from "../cookie-consent.js";
+
+// ─── DOM minimal pour scanConsentInFrame ─────────────────────────────────────
+// elements : { sélecteur: [élément] } ; un élément a hidden, shadow (autre racine) et clicks
+function fakeElement({ hidden = false, shadow = null } = {}) {
+  const element = {
+    clicks: 0,
+    shadowRoot: shadow,
+    getBoundingClientRect: () => (hidden ? { width: 0, height: 0 } : { width: 120, height: 40 }),
+    click() {
+      element.clicks++;
+    },
+  };
+  return element;
+}
+
+function fakeRoot(elements = {}, hosts = []) {
+  return {
+    querySelectorAll(selector) {
+      if (selector === "*") return hosts;
+      return selector.split(",").flatMap((part) => elements[part.trim()] || []);
+    },
+  };
+}
+
+// Frame Puppeteer : evaluate exécute la fonction avec document/window simulés
+function fakeFrame({ url = "https://www.shop.example/p/1", elements = {}, hosts = [], scripts = [], cookie = "", globals = {} } = {}) {
+  const document = { ...fakeRoot(elements, hosts), scripts: scripts.map((src) => ({ src })), cookie };
+  const window = {
+    getComputedStyle: () => ({ visibility: "visible", display: "block", opacity: "1" }),
+    ...globals,
+  };
+  return {
+    url: () => url,
+    async evaluate(fn, ...args) {
+      const previous = { document: globalThis.document, window: globalThis.window };
+      Object.assign(globalThis, { document, window });
+      try {
+        return fn(...args);
+      } finally {
+        Object.assign(globalThis, previous);
+      }
+    },
+  };
+}
+
+function fakePage(main, iframes = []) {
+  return {
+    mainFrame: () => main,
+    frames: () => [main, ...iframes],
+    waitForNetworkIdle: async () => {},
+  };
+}
+
+const handler = (options = {}) => createConsentHandler({ action: "accept", timeoutMs: 300, settleMs: 0, ...options });
+
+const META_KEYS = ["action", "cmp", "durationMs", "frame", "handled", "method", "reason", "selector", "shadow"];
+
+test("every CMP entry has banner selectors, buttons for both actions and a script pattern", () => {
+  assert.deepEqual(CONSENT_ACTIONS, ["accept", "reject", "off"]);
+  const names = CONSENT_MANAGERS.map((manager) => manager.name);
+  assert.deepEqual(names, ["onetrust", "didomi", "cookiebot", "usercentrics", "trustarc"]);
+  for (const manager of CONSENT_MANAGERS) {
+    assert.ok(manager.containers.length > 0, manager.name);
+    assert.ok(manager.accept.length > 0 && manager.reject.length > 0, manager.name);
+    assert.ok(manager.scripts.every((pattern) => pattern instanceof RegExp), manager.name);
+    assert.ok(Array.isArray(manager.frames), manager.name);
+  }
+});
+
+test("CMP vendors are recognised from their script and iframe URLs", () => {
+  const detect = (src) => CONSENT_MANAGERS.filter((manager) => manager.scripts.some((pattern) => pattern.test(src))).map((manager) => manager.name);
+  assert.deepEqual(detect("https://cdn.cookielaw.org/scripttemplates/otSDKStub.js"), ["onetrust"]);
+  assert.deepEqual(detect("https://sdk.privacy-center.org/loader.js"), ["didomi"]);
+  assert.deepEqual(detect("https://consent.cookiebot.com/uc.js"), ["cookiebot"]);
+  assert.deepEqual(detect("https://app.usercentrics.eu/browser-ui/latest/loader.js"), ["usercentrics"]);
+  assert.deepEqual(detect("https://consent.trustarc.com/notice?domain=shop.example"), ["trustarc"]);
+  assert.deepEqual(detect("https://www.shop.example/app.js"), []);
+  const trustarc = CONSENT_MANAGERS.find((manager) => manager.name === "trustarc");
+  assert.ok(trustarc.frames.some((pattern) => pattern.test("https://consent-pref.trustarc.com/?type=shop")));
+});
+
+test("an unknown action is refused and \"off\" never touches the page", async () => {
+  assert.throws(() => createConsentHandler({ action: "ignore" }), /Unknown SCRAPER_CONSENT_ACTION "ignore"/);
+  const off = handler({ action: "off" });
+  assert.equal(off.enabled, false);
+  const button = fakeElement();
+  const page = fakePage(fakeFrame({ elements: { "#onetrust-banner-sdk": [fakeElement()], "#onetrust-accept-btn-handler": [button] } }));
+  assert.equal(await off.dismiss(page), null);
+  assert.equal(button.clicks, 0);
+});
+
+test("a page without any CMP returns null at once", async () => {
+  const consent = handler({ timeoutMs: 5000 });
+  const start = Date.now();
+  assert.equal(await consent.dismiss(fakePage(fakeFrame())), null);
+  assert.ok(Date.now() - start < 1000);
+  const { byCmp, ...counters } = consent.stats();
+  assert.deepEqual(counters, { enabled: true, action: "accept", timeoutMs: 5000, handled: 0, alreadyDecided: 0, notFound: 0 });
+  assert.deepEqual(Object.keys(byCmp), ["onetrust", "didomi", "cookiebot", "usercentrics", "trustarc"]);
+});
+
+test("a visible OneTrust banner is accepted or rejected by clicking its button", async () => {
+  const accept = fakeElement();
+  const reject = fakeElement();
+  const elements = {
+    "#onetrust-banner-sdk": [fakeElement()],
+    "#onetrust-accept-btn-handler": [accept],
+    "#onetrust-reject-all-handler": [reject],
+  };
+  const consent = handler();
+  const meta = await consent.dismiss(fakePage(fakeFrame({ elements })));
+  assert.deepEqual(Object.keys(meta).sort(), META_KEYS);
+  assert.deepEqual({ ...meta, durationMs: 0 }, {
+    cmp: "onetrust", action: "accept", handled: true, method: "click", selector: "#onetrust-accept-btn-handler",
+    frame: "main", shadow: false, reason: null, durationMs: 0,
+  });
+  assert.equal(accept.clicks, 1);
+  assert.equal(consent.stats().handled, 1);
+  assert.equal(consent.stats().byCmp.onetrust, 1);
+
+  const rejected = await handler({ action: "reject" }).dismiss(fakePage(fakeFrame({ elements })));
+  assert.equal(rejected.selector, "#onetrust-reject-all-handler");
+  assert.equal(reject.clicks, 1);
+});
+
+test("a Usercentrics button inside an open shadow root is found", async () => {
+  const button = fakeElement();
+  const host = fakeElement({ shadow: fakeRoot({ "[data-testid='uc-accept-all-button']": [button] }) });
+  const page = fakePage(fakeFrame({ elements: { "#usercentrics-root": [host] }, hosts: [host] }));
+  const meta = await handler().dismiss(page);
+  assert.equal(meta.cmp, "usercentrics");
+  assert.equal(meta.shadow, true);
+  assert.equal(button.clicks, 1);
+});
+
+test("the TrustArc buttons are clicked inside the CMP iframe", async () => {
+  const button = fakeElement();
+  const main = fakeFrame({ scripts: ["https://consent.trustarc.com/notice?domain=shop.example"] });
+  const iframe = fakeFrame({ url: "https://consent-pref.trustarc.com/?type=shop", elements: { "#truste-consent-button": [button] } });
+  const meta = await handler().dismiss(fakePage(main, [iframe]));
+  assert.equal(meta.cmp, "trustarc");
+  assert.equal(meta.frame, "iframe");
+  assert.equal(button.clicks, 1);
+});
+
+test("the CMP JS API is called when the banner shows no button", async () => {
+  const calls = [];
+  const globals = { Didomi: { setUserAgreeToAll: () => calls.push("agree"), setUserDisagreeToAll: () => calls.push("disagree") } };
+  const page = fakePage(fakeFrame({ elements: { "#didomi-notice": [fakeElement()] }, globals }));
+  const meta = await handler().dismiss(page);
+  assert.equal(meta.method, "api");
+  assert.equal(meta.selector, null);
+  assert.deepEqual(calls, ["agree"]);
+});
+
+test("a choice already recorded is reported without clicking", async () => {
+  const button = fakeElement();
+  const page = fakePage(fakeFrame({
+    elements: { "#onetrust-banner-sdk": [fakeElement({ hidden: true })], "#onetrust-accept-btn-handler": [button] },
+    globals: { OneTrust: { IsAlertBoxClosed: () => true } },
+  }));
+  const consent = handler();
+  const meta = await consent.dismiss(page);
+  assert.equal(meta.handled, false);
+  assert.equal(meta.reason, "already_decided");
+  assert.equal(button.clicks, 0);
+  assert.equal(consent.stats().alreadyDecided, 1);
+});
+
+test("a CMP script whose banner never shows gives up after timeoutMs", async () => {
+  const consent = handler({ timeoutMs: 300 });
+  const page = fakePage(fakeFrame({ scripts: ["https://consent.cookiebot.com/uc.js"] }));
+  const start = Date.now();
+  const meta = await consent.dismiss(page);
+  assert.ok(Date.now() - start >= 250);
+  assert.deepEqual(Object.keys(meta).sort(), META_KEYS);
+  assert.equal(meta.cmp, "cookiebot");
+  assert.equal(meta.handled, false);
+  assert.equal(meta.reason, "banner_not_found");
+  assert.equal(meta.method, null);
+  assert.equal(consent.stats().notFound, 1);
+});
@@ -0,0 +1,161 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { createJobStore, FileJobStore, MemoryJobStore } from "../job-store.js";
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+async function journalPath() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "job-store-test-"));
+  tempDirs.push(dir);
+  return path.join(dir, "jobs.jsonl");
+}
+
+async function readJournal(filePath) {
+  return (await fs.readFile(filePath, "utf8")).split("\n").filter(Boolean).map((line) => JSON.parse(line));
+}
+
+const job = (id, patch = {}) => ({ id, status: "pending", url: `https://shop.example/${id}`, attempts: 0, createdAt: 1000, finishedAt: null, ...patch });
+
+test("MemoryJobStore purges finished jobs past retention but keeps pending work", async () => {
+  const store = new MemoryJobStore();
+  await store.create(job("old", { status: "done", finishedAt: 1000 }));
+  await store.create(job("recent", { status: "done", finishedAt: 9500 }));
+  await store.create(job("running"));
+  await store.create(job("webhook", { status: "failed", finishedAt: 1000, delivery: { status: "pending" } }));
+  assert.equal(await store.purge(1000, 10000), 1);
+  assert.deepEqual((await store.list()).map((entry) => entry.id).sort(), ["recent", "running", "webhook"]);
+  assert.deepEqual((await store.listPending()).map((entry) => entry.id), ["running"]);
+});
+
+test("FileJobStore replays the journal on startup, skipping a truncated last line", async () => {
+  const filePath = await journalPath();
+  await fs.writeFile(filePath, [
+    JSON.stringify({ op: "put", job: job("a") }),
+    JSON.stringify({ op: "put", job: job("b") }),
+    JSON.stringify({ op: "patch", id: "a", patch: { status: "done", finishedAt: 2000 } }),
+    JSON.stringify({ op: "delete", id: "b" }),
+    JSON.stringify({ op: "patch", id: "ghost", patch: { status: "done" } }),
+    '{"op":"put","job":{"id":"c"',
+  ].join("\n"));
+
+  const store = await new FileJobStore(filePath).init();
+  try {
+    assert.deepEqual((await store.list()).map((entry) => [entry.id, entry.status]), [["a", "done"]]);
+    // La ligne tronquée est relue une fois complétée par son écrivain
+    await fs.appendFile(filePath, ',"status":"pending"}}\n');
+    assert.deepEqual((await store.list()).map((entry) => entry.id), ["a", "c"]);
+  } finally {
+    await store.close();
+  }
+});
+
+test("FileJobStore appends changes and compacts them away on purge", async () => {
+  const filePath = await journalPath();
+  const store = await new FileJobStore(filePath).init();
+  await store.create(job("a"));
+  await store.create(job("b"));
+  await store.update("a", { status: "done", finishedAt: 1000 });
+  await store.update("missing", { status: "done" });
+  assert.deepEqual((await readJournal(filePath)).map((record) => record.op), ["put", "put", "patch"]);
+
+  assert.equal(await store.purge(500, 5000), 1);
+  assert.deepEqual((await readJournal(filePath)).map((record) => [record.op, record.job.id]), [["put", "b"]]);
+  await store.close();
+
+  const reopened = await new FileJobStore(filePath).init();
+  try {
+    const [pending] = await reopened.listPending();
+    assert.equal(pending.id, "b");
+    // close() a rendu le bail : le job est repris tout de suite
+    assert.equal(pending.lease, null);
+    assert.equal((await reopened.claim("b")).lease.instance, reopened.instance);
+  } finally {
+    await reopened.close();
+  }
+});
+
+test("two FileJobStore instances share one journal", async () => {
+  const filePath = await journalPath();
+  const first = await new FileJobStore(filePath).init();
+  const second = await new FileJobStore(filePath).init();
+  try {
+    await first.create(job("a"));
+    await second.create(job("b", { status: "done", finishedAt: 1000 }));
+    await first.update("a", { status: "done", finishedAt: 9000 });
+    // Chaque lecture rattrape ce que l'autre instance a écrit
+    assert.equal((await second.get("a")).status, "done");
+    assert.deepEqual((await first.list()).map((entry) => entry.id), ["a", "b"]);
+
+    // Compaction par une instance : l'autre relit le journal réécrit sans rien perdre
+    await first.create(job("c"));
+    assert.equal(await second.purge(5000, 10000), 1);
+    assert.deepEqual((await first.list()).map((entry) => entry.id), ["a", "c"]);
+    await second.update("c", { attempts: 1 });
+    assert.equal((await first.get("c")).attempts, 1);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test("FileJobStore leases give each pending job to a single instance", async () => {
+  const filePath = await journalPath();
+  const first = await new FileJobStore(filePath, { leaseMs: 1000 }).init();
+  const second = await new FileJobStore(filePath, { leaseMs: 1000 }).init();
+  try {
+    await first.create(job("a"));
+    assert.equal(await second.claim("a"), null);
+    assert.equal(await first.claim("a"), null);
+
+    // Bail expiré (instance tuée) : repris par l'autre, qui le garde
+    const later = Date.now() + 5000;
+    assert.equal((await second.claim("a", later)).lease.instance, second.instance);
+    await first.renewLeases(later);
+    assert.equal(first.held.has("a"), false);
+    assert.equal((await first.get("a")).lease.instance, second.instance);
+
+    await second.release("a");
+    assert.equal((await first.claim("a")).lease.instance, first.instance);
+  } finally {
+    await first.close();
+    await second.close();
+  }
+});
+
+test("FileJobStore waits for another writer and breaks a stale write lock", async () => {
+  const filePath = await journalPath();
+  const store = await new FileJobStore(filePath).init();
+  try {
+    await fs.writeFile(`${filePath}.lock`, "{}");
+    const pending = store.create(job("a"));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal((await readJournal(filePath).catch(() => [])).length, 0);
+    await fs.rm(`${filePath}.lock`);
+    await pending;
+    assert.equal((await readJournal(filePath)).length, 1);
+
+    // Verrou laissé par un écrivain tué
+    await fs.writeFile(`${filePath}.lock`, "{}");
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(`${filePath}.lock`, old, old);
+    await store.update("a", { attempts: 1 });
+    assert.equal((await store.get("a")).attempts, 1);
+    await assert.rejects(fs.access(`${filePath}.lock`), { code: "ENOENT" });
+  } finally {
+    await store.close();
+  }
+});
+
+test("createJobStore requires an explicit journal path for the file store", async () => {
+  const previous = process.env.SCRAPER_JOB_STORE_FILE;
+  delete process.env.SCRAPER_JOB_STORE_FILE;
+  try {
+    await assert.rejects(createJobStore("file"), /SCRAPER_JOB_STORE_FILE/);
+  } finally {
+    if (previous !== undefined) process.env.SCRAPER_JOB_STORE_FILE = previous;
+  }
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyLegacyPriceFormat, isLegacyPriceRequested, toLegacyPriceString } from "../legacy-price.js";
+
+const price = (amount, currency = "EUR") => ({ amount, currency, raw: `${amount} €`, source: "jsonld" });
+
+test("toLegacyPriceString formats amounts with two decimals", () => {
+  assert.equal(toLegacyPriceString(price(49.9)), "49.90");
+  assert.equal(toLegacyPriceString("12.5"), "12.5");
+  assert.equal(toLegacyPriceString(null), null);
+});
+
+test("applyLegacyPriceFormat converts the product price and original price", () => {
+  const result = applyLegacyPriceFormat({ ok: true, title: "Crème", price: price(19.99), originalPrice: price(25) });
+  assert.equal(result.price, "19.99");
+  assert.equal(result.originalPrice, "25.00");
+  assert.equal(result.title, "Crème");
+});
+
+test("applyLegacyPriceFormat converts variant prices too", () => {
+  const source = {
+    ok: true,
+    price: price(10),
+    originalPrice: null,
+    variants: [
+      { id: "v1", options: [{ name: "size", value: "30 ml" }], price: price(10), originalPrice: price(12.5), available: true },
+      { id: "v2", options: [{ name: "size", value: "50 ml" }], price: price(15), originalPrice: null, available: false },
+    ],
+  };
+  const result = applyLegacyPriceFormat(source);
+  assert.deepEqual(result.variants.map((variant) => [variant.id, variant.price, variant.originalPrice]), [
+    ["v1", "10.00", "12.50"],
+    ["v2", "15.00", null],
+  ]);
+  assert.equal(result.variants[0].available, true);
+  // Le résultat mis en cache n'est pas modifié
+  assert.deepEqual(source.variants[0].price, price(10));
+});
+
+test("isLegacyPriceRequested accepts 1, true and yes", () => {
+  assert.equal(isLegacyPriceRequested("1"), true);
+  assert.equal(isLegacyPriceRequested("TRUE"), true);
+  assert.equal(isLegacyPriceRequested("0"), false);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { createNetworkCapture, findProductCandidates, pickNetworkProduct } from "../network-capture.js";
+
+const productJson = {
+  data: {
+    product: {
+      productId: "SKU-4411",
+      name: "Crème hydratante 50 ml",
+      brand: { name: "Maison" },
+      price: { value: 24.9, currency: "EUR" },
+      compareAtPrice: { value: 29.9 },
+      gtin13: "3600000000017",
+      images: [{ url: "https://cdn.example/p/1.jpg" }, { url: "https://cdn.example/p/2.jpg" }, { url: "https://cdn.example/p/1.jpg" }],
+    },
+    recommendations: [
+      { name: "Sérum", priceInCents: 3990, image: "https://cdn.example/r/1.jpg" },
+    ],
+  },
+};
+
+// Réponse Puppeteer minimale
+function fakeResponse({ url, body, contentType = "application/json", resourceType = "xhr", headers = {} }) {
+  return {
+    url: () => url,
+    status: () => 200,
+    headers: () => ({ "content-type": contentType, ...headers }),
+    text: async () => (typeof body === "string" ? body : JSON.stringify(body)),
+    request: () => ({ resourceType: () => resourceType, method: () => "GET" }),
+  };
+}
+
+test("findProductCandidates normalizes product-like objects, best first", () => {
+  const [best, other] = findProductCandidates(productJson);
+  assert.equal(best.path, "data.product");
+  assert.equal(best.title, "Crème hydratante 50 ml");
+  assert.equal(best.price, "24.9");
+  assert.equal(best.originalPrice, "29.9");
+  assert.equal(best.currency, "EUR");
+  assert.equal(best.sku, "SKU-4411");
+  assert.equal(best.gtin, "3600000000017");
+  assert.equal(best.brand, "Maison");
+  assert.deepEqual(best.images, ["https://cdn.example/p/1.jpg", "https://cdn.example/p/2.jpg"]);
+  assert.equal(other.path, "data.recommendations[0]");
+  assert.equal(other.price, "39.9");
+});
+
+test("findProductCandidates ignores objects without a price or images", () => {
+  assert.deepEqual(findProductCandidates({ menu: [{ name: "Soins", url: "/soins" }], user: { name: "Anna" } }), []);
+});
+
+test("pickNetworkProduct prefers the candidate whose sku or title matches the page URL", () => {
+  const candidates = [
+    { title: "Sérum éclat", sku: "SKU-1", score: 5 },
+    { title: "Crème hydratante", sku: "SKU-4411", score: 4 },
+  ];
+  assert.equal(pickNetworkProduct(candidates, "https://shop.example/p/creme-hydratante-SKU-4411").sku, "SKU-4411");
+  assert.equal(pickNetworkProduct(candidates, "https://shop.example/p/serum-eclat").sku, "SKU-1");
+  assert.equal(pickNetworkProduct([], "https://shop.example/"), null);
+});
+
+test("createNetworkCapture keeps XHR/fetch JSON bodies and skips the rest", async () => {
+  const page = new EventEmitter();
+  const capture = createNetworkCapture(page, { maxResponses: 10, maxBodyBytes: 10000 });
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/product/4411", body: productJson }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/guard", body: ")]}',\n{\"name\":\"Sac\",\"price\":12}", resourceType: "fetch" }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/app.js", body: "{}", resourceType: "script" }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/page", body: "<html>", contentType: "text/html" }));
+  page.emit("response", fakeResponse({ url: "https://www.google-analytics.com/collect", body: { name: "x", price: 1 } }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/huge", body: "{}", headers: { "content-length": "50000" } }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/broken", body: "{not json" }));
+  await capture.settle(1000);
+  capture.stop();
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/late", body: productJson }));
+
+  assert.deepEqual(capture.summary(), { jsonResponses: 4, productCandidates: 3, skipped: 0 });
+  const dump = capture.dump();
+  const byUrl = Object.fromEntries(dump.map((entry) => [entry.url, entry]));
+  assert.equal(byUrl["https://shop.example/api/huge"].truncated, true);
+  assert.equal(byUrl["https://shop.example/api/huge"].body, null);
+  assert.match(byUrl["https://shop.example/api/broken"].error, /JSON/);
+  assert.deepEqual(byUrl["https://shop.example/api/guard"].body, { name: "Sac", price: 12 });
+
+  const picked = pickNetworkProduct(capture.productCandidates(), "https://shop.example/p/creme-hydratante-4411");
+  assert.equal(picked.sku, "SKU-4411");
+  assert.equal(picked.responseUrl, "https://shop.example/api/product/4411");
+});
+
+test("createNetworkCapture stops keeping responses past maxResponses", async () => {
+  const page = new EventEmitter();
+  const capture = createNetworkCapture(page, { maxResponses: 1, maxBodyBytes: 10000 });
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/1", body: productJson }));
+  page.emit("response", fakeResponse({ url: "https://shop.example/api/2", body: productJson }));
+  await capture.settle(1000);
+  assert.equal(capture.summary().jsonResponses, 1);
+  assert.equal(capture.summary().skipped, 1);
+});
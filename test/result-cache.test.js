@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MemoryCacheStore, createResultCache } from "../result-cache.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Entrée déjà périmée (fresh dépassé, stale encore valable)
+async function cacheWithStaleEntry(result) {
+  const cache = createResultCache({ store: new MemoryCacheStore(), ttlSeconds: 0.02, staleSeconds: 60, negativeTtlSeconds: 30 });
+  await cache.save("key", result);
+  await sleep(30);
+  assert.equal((await cache.lookup("key")).state, "stale");
+  return cache;
+}
+
+async function waitForRefresh(cache) {
+  while (cache.stats().refreshing > 0) await sleep(5);
+}
+
+test("a successful background refresh replaces the stale entry", async () => {
+  const cache = await cacheWithStaleEntry({ ok: true, title: "Ancien" });
+  assert.equal(cache.refreshInBackground("key", async () => ({ ok: true, title: "Nouveau" })), true);
+  await waitForRefresh(cache);
+  const lookup = await cache.lookup("key");
+  assert.equal(lookup.state, "fresh");
+  assert.equal(lookup.entry.result.title, "Nouveau");
+});
+
+test("a failed or aborted refresh keeps the stale entry and is counted", async () => {
+  const cache = await cacheWithStaleEntry({ ok: true, title: "Ancien" });
+  cache.refreshInBackground("key", async () => ({ ok: false, error: "Blocked by datadome" }));
+  await waitForRefresh(cache);
+  cache.refreshInBackground("key", async () => ({ ok: true, title: "Partiel", meta: { aborted: "SCRAPE_DEADLINE" } }));
+  await waitForRefresh(cache);
+  const lookup = await cache.lookup("key");
+  assert.equal(lookup.state, "stale");
+  assert.equal(lookup.entry.result.title, "Ancien");
+  assert.equal(cache.stats().refreshFailures, 2);
+});
+
+test("a refresh that throws keeps the stale entry and only one refresh runs per key", async () => {
+  const cache = await cacheWithStaleEntry({ ok: true, title: "Ancien" });
+  assert.equal(cache.refreshInBackground("key", async () => { await sleep(10); throw new Error("boom"); }), true);
+  assert.equal(cache.refreshInBackground("key", async () => ({ ok: true, title: "Doublon" })), false);
+  await waitForRefresh(cache);
+  assert.equal((await cache.lookup("key")).entry.result.title, "Ancien");
+  assert.equal(cache.stats().errors, 1);
+});
+
+test("negative results are never served stale", async () => {
+  const cache = createResultCache({ store: new MemoryCacheStore(), ttlSeconds: 60, staleSeconds: 60, negativeTtlSeconds: 0.02 });
+  await cache.save("key", { ok: false, error: "Not found" });
+  assert.equal((await cache.lookup("key")).entry.negative, true);
+  await sleep(30);
+  assert.equal(await cache.lookup("key"), null);
+});
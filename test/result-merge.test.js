@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fieldConfidence, isEmptyField, mergeStageResults, missingRequiredFields } from "../result-merge.js";
+
+const price = (amount, source) => ({ amount, currency: "EUR", raw: `${amount} €`, source });
+
+test("isEmptyField treats empty arrays, blank strings and unknown availability as empty", () => {
+  assert.equal(isEmptyField("images", []), true);
+  assert.equal(isEmptyField("title", ""), true);
+  assert.equal(isEmptyField("availability", "unknown"), true);
+  assert.equal(isEmptyField("availability", "in_stock"), false);
+  assert.equal(isEmptyField("rating", { value: 0, count: 0 }), false);
+});
+
+test("missingRequiredFields lists the required fields still empty", () => {
+  assert.deepEqual(missingRequiredFields({ title: "Sac", images: [], price: null }, ["title", "images", "price"]), ["images", "price"]);
+  assert.deepEqual(missingRequiredFields(null, ["title"]), ["title"]);
+});
+
+test("fieldConfidence ranks structured prices above DOM prices", () => {
+  assert.ok(fieldConfidence("stage1", "price", { price: price(10, "jsonld_offer") }) > fieldConfidence("stage1", "price", { price: price(10, "dom_price") }));
+  assert.ok(fieldConfidence("shopify_api", "categoryPath", {}) < fieldConfidence("stage0", "categoryPath", {}));
+});
+
+test("mergeStageResults takes each field from the most reliable stage that filled it", () => {
+  const merged = mergeStageResults([
+    {
+      stage: "stage0",
+      result: {
+        ok: true, title: "Sac cabas", price: null, images: [{ url: "https://cdn.example/a.jpg" }, { url: "https://cdn.example/b.jpg" }],
+        meta: { stage: "stage0" },
+      },
+    },
+    {
+      stage: "stage1",
+      result: {
+        ok: true, title: "Sac cabas – Boutique", price: price(49.9, "jsonld_offer"), originalPrice: price(59.9, "jsonld_offer"), discountPercent: 17,
+        images: [{ url: "https://cdn.example/b.jpg" }, { url: "https://cdn.example/c.jpg" }],
+        meta: { stage: "stage1" },
+      },
+    },
+  ]);
+  assert.equal(merged.ok, true);
+  assert.equal(merged.title, "Sac cabas – Boutique");
+  assert.equal(merged.price.amount, 49.9);
+  assert.equal(merged.originalPrice.amount, 59.9);
+  assert.equal(merged.discountPercent, 17);
+  assert.deepEqual(merged.images.map((image) => image.url), ["https://cdn.example/b.jpg", "https://cdn.example/c.jpg", "https://cdn.example/a.jpg"]);
+  assert.equal(merged.meta.fieldStages.title, "stage1");
+  assert.equal(merged.meta.fieldStages.images, "stage1");
+  assert.deepEqual(merged.meta.mergedStages, ["stage1"]);
+  assert.equal(merged.meta.stage, "stage1");
+});
+
+test("mergeStageResults fills gaps from lower-confidence stages and keeps the first stage on ties", () => {
+  const merged = mergeStageResults([
+    { stage: "stage1", result: { ok: false, title: "Premier", images: [], brand: null } },
+    { stage: "stage4", result: { ok: true, title: "Second", images: [{ url: "https://cdn.example/a.jpg" }], brand: "Maison" } },
+    { stage: "stage0", result: { ok: false, title: "Troisième", sku: "SKU-1" } },
+  ]);
+  assert.equal(merged.title, "Premier");
+  assert.equal(merged.brand, "Maison");
+  assert.equal(merged.sku, "SKU-1");
+  assert.deepEqual(merged.meta.fieldStages, { title: "stage1", brand: "stage4", sku: "stage0", images: "stage4" });
+  assert.deepEqual(merged.meta.mergedStages, ["stage1", "stage4", "stage0"]);
+});
+
+test("mergeStageResults dedupes images with imageKey and caps them at maxImages", () => {
+  const merged = mergeStageResults([
+    { stage: "stage0", result: { ok: true, images: [{ url: "https://cdn.example/a.jpg?w=200" }, { url: "https://cdn.example/a.jpg?w=800" }, { url: "https://cdn.example/b.jpg" }, { url: "https://cdn.example/c.jpg" }] } },
+  ], { maxImages: 2, imageKey: (url) => `${url}`.split("?")[0] });
+  assert.deepEqual(merged.images.map((image) => image.url), ["https://cdn.example/a.jpg?w=200", "https://cdn.example/b.jpg"]);
+});
+
+test("mergeStageResults returns null without any result", () => {
+  assert.equal(mergeStageResults([{ stage: "stage0", result: null }]), null);
+});
@@ -0,0 +1,119 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { FileSessionBackend, MemorySessionBackend, createSessionStore, sessionKeyFor } from "../session-store.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+async function sessionDir() {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "session-store-test-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+const PAGE = "https://www.shop.example/products/bag";
+
+test("sessionKeyFor groups a domain with its www. host", () => {
+  assert.equal(sessionKeyFor(PAGE), "shop.example");
+  assert.equal(sessionKeyFor("https://eu.shop.example/x"), "eu.shop.example");
+  assert.equal(sessionKeyFor("not a url"), null);
+});
+
+test("cookies set by axios responses are sent back and handed to Puppeteer", async () => {
+  const store = createSessionStore({ backend: new MemorySessionBackend(), ttlMs: 60000 });
+  const session = await store.open(PAGE);
+  session.storeSetCookies(PAGE, ["consent=yes; Path=/", "datadome=abc; Domain=shop.example; Path=/; Secure; HttpOnly"]);
+  assert.equal(session.cookieHeader(PAGE), "consent=yes; datadome=abc");
+
+  const browserCookies = session.browserCookies(PAGE);
+  // Cookie host-only : url pour que Chrome ne l'élargisse pas aux sous-domaines
+  assert.deepEqual(browserCookies.find((cookie) => cookie.name === "consent"), {
+    name: "consent", value: "yes", url: "http://www.shop.example/", httpOnly: false, secure: false,
+  });
+  const datadome = browserCookies.find((cookie) => cookie.name === "datadome");
+  assert.equal(datadome.domain, ".shop.example");
+  assert.equal(datadome.secure, true);
+  assert.equal(datadome.httpOnly, true);
+
+  // Même session pour le même domaine, quel que soit le stage
+  assert.equal((await store.open("https://shop.example/cart")).cookieHeader(PAGE), "consent=yes; datadome=abc");
+});
+
+test("cookies read from a Puppeteer page are sent by the next HTTP request", async () => {
+  const store = createSessionStore({ backend: new MemorySessionBackend(), ttlMs: 60000 });
+  const session = await store.open(PAGE);
+  session.storeBrowserCookies([
+    { name: "OptanonConsent", value: "groups=C0001", domain: ".shop.example", path: "/", expires: Math.floor(Date.now() / 1000) + 3600 },
+    { name: "cart", value: "1", domain: "www.shop.example", path: "/", expires: -1, secure: true },
+    { name: "broken", value: "x" },
+  ]);
+  assert.equal(session.cookieHeader(PAGE), "OptanonConsent=groups=C0001; cart=1");
+  assert.equal(session.cookieHeader("https://other.shop.example/"), "OptanonConsent=groups=C0001");
+});
+
+test("a session expires ttlMs after its last save", async () => {
+  const store = createSessionStore({ backend: new MemorySessionBackend(), ttlMs: 40 });
+  const session = await store.open(PAGE);
+  session.storeSetCookies(PAGE, "consent=yes; Path=/");
+  await session.save();
+  assert.equal(store.stats().active, 1);
+
+  await sleep(60);
+  assert.equal(store.stats().active, 0);
+  const reopened = await store.open(PAGE);
+  assert.equal(reopened.cookieHeader(PAGE), "");
+  assert.equal(store.stats().expired, 1);
+  assert.equal(store.stats().opened, 2);
+});
+
+test("ttlMs 0 disables sessions", async () => {
+  const store = createSessionStore({ backend: new MemorySessionBackend(), ttlMs: 0 });
+  assert.equal(store.enabled, false);
+  assert.equal(await store.open(PAGE), null);
+});
+
+test("the file backend restores a saved session in another store", async () => {
+  const dir = await sessionDir();
+  const first = createSessionStore({ backend: new FileSessionBackend(dir), ttlMs: 60000 });
+  const session = await first.open(PAGE);
+  session.storeSetCookies(PAGE, "datadome=abc; Path=/");
+  await session.save();
+  assert.deepEqual(await fs.readdir(dir), ["shop.example.json"]);
+
+  const second = createSessionStore({ backend: new FileSessionBackend(dir), ttlMs: 60000 });
+  assert.equal((await second.open(PAGE)).cookieHeader(PAGE), "datadome=abc");
+  assert.equal(second.stats().restored, 1);
+});
+
+test("the file backend ignores expired and corrupted session files", async () => {
+  const dir = await sessionDir();
+  const backend = new FileSessionBackend(dir);
+  await backend.save("shop.example", { expiresAt: Date.now() - 1000, jar: { cookies: [] } });
+  await fs.writeFile(path.join(dir, "broken.example.json"), "{\"key\":");
+
+  const store = createSessionStore({ backend, ttlMs: 60000 });
+  await store.open(PAGE);
+  await store.open("https://broken.example/");
+  assert.equal(store.stats().restored, 0);
+  assert.equal(store.stats().opened, 2);
+});
+
+test("clear(domain) forgets the session in memory and on disk", async () => {
+  const dir = await sessionDir();
+  const store = createSessionStore({ backend: new FileSessionBackend(dir), ttlMs: 60000 });
+  const session = await store.open(PAGE);
+  session.storeSetCookies(PAGE, "datadome=abc; Path=/");
+  await session.save();
+
+  assert.equal(await store.clear("www.shop.example"), true);
+  assert.deepEqual(await fs.readdir(dir), []);
+  assert.equal((await store.open(PAGE)).cookieHeader(PAGE), "");
+  assert.equal(await store.clear("unknown.example"), false);
+  assert.equal(await store.clear(""), false);
+  assert.equal(store.stats().cleared, 1);
+});
@@ -0,0 +1,70 @@
+import { before, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bypassesMarketingFilter,
+  computeProfileImageBoost,
+  hasExcludedImageClass,
+  isProfileAllowedImage,
+  isProfileDeniedImage,
+  isProfileMarketingImage,
+  loadSiteProfiles,
+  looksLikeProfileImage,
+  resolveSiteProfile,
+} from "../site-profiles.js";
+
+// Profils livrés dans ./profiles : ils doivent reproduire les règles codées en dur
+// qu'ils ont remplacées (scores, images autorisées et refusées)
+before(() => loadSiteProfiles());
+
+const PIM = "https://media.sephora.eu/content/dam/digital/pim/published/P/PARFUM/123_main.jpg";
+const fakeElement = (classes) => ({ hasClass: (name) => classes.includes(name) });
+
+test("Sephora profile is picked by hostname on every Sephora domain", () => {
+  assert.equal(resolveSiteProfile("https://www.sephora.fr/p/creme-123.html").name, "sephora");
+  assert.equal(resolveSiteProfile("https://www.sephora.com/product/x").name, "sephora");
+  assert.equal(resolveSiteProfile("https://shop.example.com/p/1").name, null);
+});
+
+test("Sephora PIM images keep their historical +6000 boost and preload scores", () => {
+  const sephora = resolveSiteProfile("https://www.sephora.fr/p/creme-123.html");
+  assert.equal(computeProfileImageBoost(sephora, PIM), 6000);
+  assert.equal(computeProfileImageBoost(sephora, "https://media.sephora.eu/content/dam/library/banner.jpg"), 0);
+  assert.equal(bypassesMarketingFilter(sephora, PIM), true);
+  // jsonld_product (8000) + 1000, et + 5000 pour fetchpriority="high"
+  assert.equal(sephora.images.preload.score, 9000);
+  assert.equal(sephora.images.preload.highPriorityScore, 13000);
+  assert.ok(sephora.images.preload.pattern.test(PIM));
+});
+
+test("Sephora profile allows PIM images and denies loyalty badges and brand corners", () => {
+  const sephora = resolveSiteProfile("https://www.sephora.fr/p/creme-123.html");
+  assert.equal(isProfileAllowedImage(sephora, PIM), true);
+  assert.equal(isProfileAllowedImage(sephora, "https://cdn.example.com/p/123.jpg"), false);
+  assert.equal(isProfileDeniedImage(sephora, "https://www.sephora.fr/img/mysephora-blackfid.png"), true);
+  assert.equal(isProfileDeniedImage(sephora, "https://www.sephora.fr/img/goldfid.svg"), true);
+  assert.equal(isProfileDeniedImage(sephora, PIM), false);
+  assert.equal(isProfileMarketingImage(sephora, "https://www.sephora.fr/on/demandware.static/-/Library-Sites-SephoraV2/x.jpg"), true);
+  assert.equal(isProfileMarketingImage(sephora, "https://www.sephora.fr/img/BrandCorner_dior.jpg"), true);
+  assert.equal(isProfileMarketingImage(sephora, PIM), false);
+  assert.equal(looksLikeProfileImage(sephora, "https://media.sephora.eu/asset?id=1"), true);
+});
+
+test("Sephora profile reads prices from embedded Next.js scripts in EUR", () => {
+  const [script] = resolveSiteProfile("https://www.sephora.fr/p/creme-123.html").priceScripts;
+  assert.deepEqual(script.contains, ["sephora", "Sephora"]);
+  assert.equal(script.currency, "EUR");
+  assert.deepEqual([...'{"brand":"Sephora","price": 42.5}'.matchAll(script.pattern)].map((match) => match[1]), ["42.5"]);
+});
+
+test("Paula's Choice profile allows its CDN images and skips mega-menu images", () => {
+  const paula = resolveSiteProfile("https://www.paulaschoice-eu.com/fr/skin-perfecting-2-bha/201.html");
+  assert.equal(paula.name, "paulaschoice");
+  assert.equal(resolveSiteProfile("https://www.paulaschoice.fr/x").name, "paulaschoice");
+  const image = "https://www.paulaschoice-eu.com/dw/image/v2/BBNX_PRD/201-front.png";
+  assert.equal(isProfileAllowedImage(paula, image), true);
+  assert.equal(looksLikeProfileImage(paula, image), true);
+  assert.equal(isProfileDeniedImage(paula, image), false);
+  assert.equal(computeProfileImageBoost(paula, image), 0);
+  assert.equal(hasExcludedImageClass(paula, fakeElement(["js-megamenu-image"])), true);
+  assert.equal(hasExcludedImageClass(paula, fakeElement(["product-image"])), false);
+});
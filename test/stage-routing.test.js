@@ -0,0 +1,94 @@
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { describeStageRouting, loadStageRouting, resolveStagePlan } from "../stage-routing.js";
+
+const tempDirs = [];
+after(() => Promise.all(tempDirs.map((dir) => fs.rm(dir, { recursive: true, force: true }))));
+
+async function writeRoutingFile(name, content) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "routing-test-"));
+  tempDirs.push(dir);
+  const filePath = path.join(dir, name);
+  await fs.writeFile(filePath, content);
+  return filePath;
+}
+
+// Avant tout chargement, le module expose le routage intégré
+const builtinRouting = describeStageRouting();
+
+test("built-in routing keeps the historical unsupported domains and Sephora-only Apify", () => {
+  assert.equal(describeStageRouting().origin, "builtin");
+  assert.equal(resolveStagePlan("https://www.chanel.com/fr/parfum/p/1").unsupported, true);
+  assert.equal(resolveStagePlan("https://shop.maybelline.fr/x").unsupported, true);
+  assert.equal(resolveStagePlan("https://www.guerlain.com/x").unsupported, true);
+
+  const sephora = resolveStagePlan("https://www.sephora.fr/p/creme-123.html");
+  assert.equal(sephora.route, "sephora");
+  assert.ok(sephora.stages.includes("apify"));
+
+  const other = resolveStagePlan("https://shop.example.com/products/bag");
+  assert.equal(other.route, "default");
+  assert.equal(other.unsupported, false);
+  assert.ok(!other.stages.includes("apify"));
+  assert.deepEqual(other.requiredFields, ["title", "images", "price"]);
+  assert.equal(other.timeoutFor("stage1"), 15000);
+});
+
+test("loadStageRouting fails on a configured file that does not exist and keeps the previous routing", async () => {
+  await assert.rejects(loadStageRouting(path.join(os.tmpdir(), "missing-routing-file.yaml")), /not found/);
+  assert.equal(describeStageRouting().origin, "builtin");
+});
+
+test("routes override defaults and the first matching pattern wins", async () => {
+  const filePath = await writeRoutingFile("routing.yaml", [
+    "defaults:",
+    "  forbidden: [apify]",
+    "  requiredFields: [title, images, price]",
+    "domains:",
+    "  - name: fast",
+    "    match: [fast.example]",
+    "    stages: [stage0, stage1, stage3]",
+    "    timeouts: { stage1: 5000 }",
+    "  - name: catch-all-example",
+    "    match: [example.com, fast.example]",
+    "    allowPaid: false",
+    "",
+  ].join("\n"));
+  const routing = await loadStageRouting(filePath);
+  assert.equal(routing.origin, filePath);
+  assert.equal(routing.routes.length, 2);
+
+  const fast = resolveStagePlan("https://www.fast.example/p/1");
+  assert.equal(fast.route, "fast");
+  assert.deepEqual(fast.stages, ["stage0", "stage1", "stage3"]);
+  assert.equal(fast.timeoutFor("stage1"), 5000);
+  assert.equal(fast.timeoutFor("stage3"), 30000);
+  assert.deepEqual(fast.requiredFields, ["title", "images", "price"]);
+  assert.equal(fast.isPaid("stage3"), true);
+
+  const unpaid = resolveStagePlan("https://shop.example.com/p/1");
+  assert.equal(unpaid.route, "catch-all-example");
+  assert.deepEqual(unpaid.stages, ["shopify_api", "stage0", "stage1"]);
+});
+
+test("an invalid file is rejected and the previous routing stays active", async () => {
+  const before = describeStageRouting().origin;
+  const unknownStage = await writeRoutingFile("bad.yaml", "defaults:\n  stages: [stage0, stage9]\n");
+  await assert.rejects(loadStageRouting(unknownStage), /Unknown stage\(s\) stage9/);
+  const noMatch = await writeRoutingFile("bad.json", JSON.stringify({ domains: [{ name: "empty" }] }));
+  await assert.rejects(loadStageRouting(noMatch), /has no match patterns/);
+  const badField = await writeRoutingFile("bad-field.yaml", "defaults:\n  requiredFields: [colour]\n");
+  await assert.rejects(loadStageRouting(badField), /Unknown field\(s\) colour/);
+  assert.equal(describeStageRouting().origin, before);
+});
+
+test("built-in routing matches the shipped routing.yaml", async () => {
+  const { defaults, routes } = builtinRouting;
+  const shipped = await loadStageRouting(fileURLToPath(new URL("../routing.yaml", import.meta.url)));
+  assert.deepEqual(shipped.defaults, defaults);
+  assert.deepEqual(shipped.routes, routes);
+});
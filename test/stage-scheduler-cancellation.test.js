@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStageScheduler } from "../stage-scheduler.js";
+
+// Annulation des appels en attente et libération explicite des places (acquire/release)
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+test("an aborted queued call leaves the queue without running", async () => {
+  const scheduler = createStageScheduler({ http: 1, browser: 1, paid: 1 });
+  const gate = deferred();
+  const running = scheduler.run("browser", "interactive", () => gate.promise);
+  const controller = new AbortController();
+  let started = false;
+  const queued = scheduler.run("browser", "interactive", () => { started = true; }, { signal: controller.signal });
+  controller.abort(new Error("client gone"));
+  await assert.rejects(queued, /client gone/);
+  assert.equal(scheduler.stats().browser.queued, 0);
+  assert.equal(scheduler.stats().browser.cancelled, 1);
+  gate.resolve();
+  await running;
+  assert.equal(started, false);
+  assert.equal(scheduler.stats().browser.active, 0);
+});
+
+test("an already aborted signal is rejected before queueing", async () => {
+  const scheduler = createStageScheduler({ http: 1, browser: 1, paid: 1 });
+  const controller = new AbortController();
+  controller.abort(new Error("deadline"));
+  await assert.rejects(scheduler.acquire("http", "interactive", { signal: controller.signal }), /deadline/);
+  assert.equal(scheduler.stats().http.active, 0);
+});
+
+test("acquire holds the slot until release is called", async () => {
+  const scheduler = createStageScheduler({ http: 1, browser: 1, paid: 1 });
+  const slot = await scheduler.acquire("paid", "interactive");
+  let secondStarted = false;
+  const second = scheduler.acquire("paid", "interactive").then((next) => { secondStarted = true; return next; });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(secondStarted, false);
+  slot.release();
+  slot.release();
+  const next = await second;
+  assert.equal(next.queueDepth, 1);
+  assert.equal(scheduler.stats().paid.active, 1);
+  next.release();
+  assert.equal(scheduler.stats().paid.active, 0);
+  assert.equal(scheduler.stats().paid.completed, 2);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStageScheduler } from "../stage-scheduler.js";
+
+function deferred() {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+}
+
+test("interactive calls are served before queued background calls", async () => {
+  const scheduler = createStageScheduler({ http: 1, browser: 1, paid: 1 });
+  const gate = deferred();
+  const order = [];
+  const running = scheduler.run("browser", "interactive", () => gate.promise);
+  const background = scheduler.run("browser", "background", () => order.push("background"));
+  const interactive = scheduler.run("browser", "interactive", () => order.push("interactive"));
+  assert.equal(scheduler.stats().browser.queued, 2);
+  gate.resolve();
+  await Promise.all([running, background, interactive]);
+  assert.deepEqual(order, ["interactive", "background"]);
+  assert.equal(scheduler.stats().browser.completed, 3);
+});
+
+test("each pool runs at most its own limit, independently of the others", async () => {
+  const scheduler = createStageScheduler({ http: 2, browser: 1, paid: 1 });
+  const gate = deferred();
+  const calls = [
+    scheduler.run("http", "interactive", () => gate.promise),
+    scheduler.run("http", "interactive", () => gate.promise),
+    scheduler.run("http", "interactive", () => gate.promise),
+    scheduler.run("browser", "background", () => gate.promise),
+  ];
+  const stats = scheduler.stats();
+  assert.equal(stats.http.limit, 2);
+  assert.equal(stats.http.active, 2);
+  assert.equal(stats.http.queued, 1);
+  assert.equal(stats.browser.active, 1);
+  assert.equal(stats.browser.queued, 0);
+  assert.equal(stats.paid.active, 0);
+  gate.resolve();
+  await Promise.all(calls);
+  assert.equal(scheduler.stats().http.completed, 3);
+});
+
+test("queue depth and wait time are reported per call and per pool", async () => {
+  const scheduler = createStageScheduler({ http: 1, browser: 1, paid: 1 });
+  const gate = deferred();
+  const first = scheduler.run("paid", "interactive", () => gate.promise.then(() => "first"));
+  const second = scheduler.run("paid", "background", () => "second");
+  const third = scheduler.run("paid", "background", () => "third");
+  assert.equal(scheduler.stats().paid.queuedInteractive, 0);
+  assert.equal(scheduler.stats().paid.queuedBackground, 2);
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  gate.resolve();
+  const [running, queued, last] = await Promise.all([first, second, third]);
+  assert.equal(running.queueDepth, 0);
+  assert.equal(queued.queueDepth, 1);
+  assert.equal(last.queueDepth, 2);
+  assert.equal(last.value, "third");
+  assert.ok(queued.waitMs >= 20);
+  assert.ok(scheduler.stats().paid.maxWaitMs >= queued.waitMs);
+  assert.ok(scheduler.stats().paid.averageWaitMs > 0);
+});
+
+test("an unknown pool is rejected", async () => {
+  const scheduler = createStageScheduler();
+  await assert.rejects(scheduler.run("gpu", "interactive", () => {}), /Unknown scheduler pool gpu/);
+});
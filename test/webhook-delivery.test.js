@@ -0,0 +1,87 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createHmac } from "node:crypto";
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, createWebhookDelivery, signWebhookPayload } from "../webhook-delivery.js";
+
+// Récepteur local : chaque requête consomme la prochaine réponse scriptée de son chemin
+const scripts = new Map();
+const received = [];
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      const next = scripts.get(req.url)?.shift() || { status: 200 };
+      res.writeHead(next.status, next.headers || {});
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const requestsTo = (path) => received.filter((request) => request.path === path);
+
+test("signWebhookPayload is the HMAC-SHA256 of timestamp.body", () => {
+  const expected = createHmac("sha256", "s3cret").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(signWebhookPayload('{"a":1}', "s3cret", 1700000000), `sha256=${expected}`);
+});
+
+test("deliver signs the raw body and sends a stable Idempotency-Key", async () => {
+  const delivery = createWebhookDelivery({ secret: "s3cret", maxAttempts: 3, backoffMs: 1 });
+  const outcome = await delivery.deliver({ url: `${baseUrl}/signed`, payload: { event: "job.done", job_id: "job_1" }, idempotencyKey: "job_1" });
+  assert.deepEqual(outcome, { delivered: true, attempts: 1 });
+  const [request] = requestsTo("/signed");
+  assert.equal(request.body, '{"event":"job.done","job_id":"job_1"}');
+  assert.equal(request.headers["idempotency-key"], "job_1");
+  const timestamp = request.headers[TIMESTAMP_HEADER.toLowerCase()];
+  assert.equal(request.headers[SIGNATURE_HEADER.toLowerCase()], signWebhookPayload(request.body, "s3cret", timestamp));
+});
+
+test("deliver retries 5xx and 429 answers, then succeeds", async () => {
+  scripts.set("/flaky", [{ status: 503 }, { status: 429, headers: { "Retry-After": "0" } }, { status: 204 }]);
+  const attempts = [];
+  const delivery = createWebhookDelivery({ maxAttempts: 5, backoffMs: 1 });
+  const outcome = await delivery.deliver({
+    url: `${baseUrl}/flaky`, payload: { ok: true }, idempotencyKey: "job_2",
+    onAttempt: async (attempt) => { attempts.push(attempt); },
+  });
+  assert.deepEqual(outcome, { delivered: true, attempts: 3 });
+  assert.deepEqual(attempts.map((attempt) => [attempt.attempt, attempt.statusCode, attempt.ok]), [[1, 503, false], [2, 429, false], [3, 204, true]]);
+  assert.ok(attempts[0].nextRetryAt >= attempts[0].at);
+  assert.equal(attempts[2].nextRetryAt, null);
+  const deliveryIds = new Set(requestsTo("/flaky").map((request) => request.headers["x-feednly-delivery"]));
+  assert.equal(deliveryIds.size, 3);
+  assert.equal(new Set(requestsTo("/flaky").map((request) => request.headers["idempotency-key"])).size, 1);
+  assert.equal(delivery.stats().retries, 2);
+});
+
+test("deliver stops on a non-retryable status and when attempts run out", async () => {
+  scripts.set("/gone", [{ status: 410 }]);
+  const delivery = createWebhookDelivery({ maxAttempts: 3, backoffMs: 1 });
+  assert.deepEqual(await delivery.deliver({ url: `${baseUrl}/gone`, payload: {}, idempotencyKey: "job_3" }), { delivered: false, attempts: 1 });
+
+  scripts.set("/down", [{ status: 500 }, { status: 500 }, { status: 500 }]);
+  assert.deepEqual(await delivery.deliver({ url: `${baseUrl}/down`, payload: {}, idempotencyKey: "job_4" }), { delivered: false, attempts: 3 });
+
+  // Livraison reprise après redémarrage : seules les tentatives restantes sont faites
+  scripts.set("/resumed", [{ status: 500 }, { status: 500 }]);
+  assert.deepEqual(await delivery.deliver({ url: `${baseUrl}/resumed`, payload: {}, idempotencyKey: "job_5", previousAttempts: 2 }), { delivered: false, attempts: 3 });
+  assert.equal(requestsTo("/resumed").length, 1);
+  assert.equal(delivery.stats().failed, 3);
+});
+
+test("deliver does not follow redirects", async () => {
+  scripts.set("/moved", [{ status: 302, headers: { Location: `${baseUrl}/signed` } }]);
+  const signedBefore = requestsTo("/signed").length;
+  const delivery = createWebhookDelivery({ maxAttempts: 2, backoffMs: 1 });
+  assert.deepEqual(await delivery.deliver({ url: `${baseUrl}/moved`, payload: {}, idempotencyKey: "job_6" }), { delivered: false, attempts: 1 });
+  assert.equal(requestsTo("/signed").length, signedBefore);
+});
@@ -0,0 +1,138 @@
+import axios from "axios";
+import { createHmac, randomUUID } from "node:crypto";
+import { performance } from "node:perf_hooks";
+
+// ─── LIVRAISON DES WEBHOOKS (callback_url) ────────────────────────────────────
+// POST JSON signé HMAC-SHA256 avec SCRAPER_WEBHOOK_SECRET, rejoué avec backoff
+// exponentiel sur erreur réseau, 408, 429 et 5xx. Idempotency-Key reste la même
+// d'une tentative à l'autre pour que le destinataire puisse dédoublonner.
+
+export const SIGNATURE_HEADER = "X-Feednly-Signature";
+export const TIMESTAMP_HEADER = "X-Feednly-Timestamp";
+
+function readInteger(value, fallback, min = 0) {
+  const parsed = Number.parseInt(`${value ?? ""}`, 10);
+  return Number.isFinite(parsed) && parsed >= min ? parsed : fallback;
+}
+
+// Signature de `${timestamp}.${body}` : le destinataire refait le calcul sur le corps brut
+export function signWebhookPayload(body, secret, timestamp) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// Retry-After en secondes ou date HTTP ; null si absent ou illisible
+function parseRetryAfterMs(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+export function createWebhookDelivery({
+  secret = process.env.SCRAPER_WEBHOOK_SECRET || "",
+  maxAttempts = readInteger(process.env.SCRAPER_WEBHOOK_MAX_ATTEMPTS, 5, 1),
+  backoffMs = readInteger(process.env.SCRAPER_WEBHOOK_BACKOFF_MS, 2000),
+  maxBackoffMs = readInteger(process.env.SCRAPER_WEBHOOK_MAX_BACKOFF_MS, 5 * 60 * 1000),
+  timeoutMs = readInteger(process.env.SCRAPER_WEBHOOK_TIMEOUT_MS, 10000, 1),
+} = {}) {
+  const counters = { delivered: 0, failed: 0, attempts: 0, retries: 0 };
+
+  function delayBefore(attempt, retryAfterMs) {
+    const exponential = backoffMs * 2 ** (attempt - 1);
+    // ±20 % pour ne pas rejouer tous les webhooks en même temps
+    const jittered = exponential * (0.8 + Math.random() * 0.4);
+    return Math.round(Math.min(maxBackoffMs, Math.max(jittered, retryAfterMs ?? 0)));
+  }
+
+  async function attemptOnce(url, body, idempotencyKey) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "Idempotency-Key": idempotencyKey,
+      "X-Feednly-Delivery": randomUUID(),
+      [TIMESTAMP_HEADER]: `${timestamp}`,
+    };
+    if (secret) headers[SIGNATURE_HEADER] = signWebhookPayload(body, secret, timestamp);
+    const attemptStart = performance.now();
+    try {
+      const response = await axios.post(url, body, {
+        timeout: timeoutMs,
+        headers,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        // Le corps signé doit partir tel quel
+        transformRequest: [(data) => data],
+      });
+      const durationMs = Math.round(performance.now() - attemptStart);
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        statusCode: response.status,
+        error: ok ? null : `HTTP ${response.status}`,
+        retryable: !ok && isRetryableStatus(response.status),
+        retryAfterMs: parseRetryAfterMs(response.headers?.["retry-after"]),
+        durationMs,
+      };
+    } catch (err) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: err?.code || err?.message || "Request failed",
+        retryable: true,
+        retryAfterMs: null,
+        durationMs: Math.round(performance.now() - attemptStart),
+      };
+    }
+  }
+
+  return {
+    signed: Boolean(secret),
+    maxAttempts,
+
+    /**
+     * Livre payload à url. onAttempt({ attempt, at, ok, statusCode, error, durationMs, nextRetryAt })
+     * est appelé après chaque tentative (journal de livraison). previousAttempts permet de
+     * reprendre une livraison interrompue sans dépasser maxAttempts.
+     * Renvoie { delivered, attempts }.
+     */
+    async deliver({ url, payload, idempotencyKey, previousAttempts = 0, onAttempt = async () => {} }) {
+      const body = JSON.stringify(payload);
+      let attempt = previousAttempts;
+      while (attempt < maxAttempts) {
+        attempt++;
+        counters.attempts++;
+        if (attempt > 1) counters.retries++;
+        const at = Date.now();
+        const outcome = await attemptOnce(url, body, idempotencyKey);
+        const willRetry = !outcome.ok && outcome.retryable && attempt < maxAttempts;
+        const waitMs = willRetry ? delayBefore(attempt, outcome.retryAfterMs) : 0;
+        await onAttempt({
+          attempt,
+          at,
+          ok: outcome.ok,
+          statusCode: outcome.statusCode,
+          error: outcome.error,
+          durationMs: outcome.durationMs,
+          nextRetryAt: willRetry ? at + outcome.durationMs + waitMs : null,
+        });
+        if (outcome.ok) {
+          counters.delivered++;
+          return { delivered: true, attempts: attempt };
+        }
+        if (!willRetry) break;
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+      }
+      counters.failed++;
+      return { delivered: false, attempts: attempt };
+    },
+
+    stats() {
+      return { signed: Boolean(secret), maxAttempts, backoffMs, maxBackoffMs, ...counters };
+    },
+  };
+}